@@ -1,19 +1,67 @@
 // flow
 /* eslint-disable no-restricted-syntax */
+import http from 'http';
+import net from 'net';
+import Koa from 'koa';
+import Knex from 'knex';
+import { Model } from 'objection';
+import Sequelize from 'sequelize';
 import {
   Direction,
+  NullHandling,
   ArrayPage,
   IndexablePage,
+  Page,
   IndexedPage,
   Order,
   Pageable,
   Sort,
   NumberFormatError,
   InvalidSortError,
+  PageBoundsError,
+  PageSizeExceededError,
+  MaxSizeStrategy,
+  CursorPageable,
+  CursorPage,
+  InvalidCursorError,
+  InvalidSortPropertyError,
+  PagingMode,
+  encodeCursor,
+  paginateKnex,
+  paginateMongoose,
+  paginateObjection,
+  paginateSequelize,
+  paginationErrorHandler,
+  KoaPageableError,
+  PaginationValidationError,
+  DirectionAliases,
+  decodeCursor,
   paginate,
+  createPaginate,
+  iteratePages,
+  iterateItems,
+  JsonApiPaginateOptions,
+  toJsonApi,
+  toHal,
+  NotAcceptableError,
+  PageMediaTypes,
+  IdConflictError,
+  IdConflictPolicy,
 } from '../index';
 
 
+const createContext = (url, headers = {}) => {
+  const req = new http.IncomingMessage(new net.Socket());
+  req.method = 'GET';
+  req.url = url;
+  req.headers = Object.assign({ host: 'localhost' }, headers);
+  return new Koa().createContext(req, new http.ServerResponse(req));
+};
+
+const respondWith = (ctx, body) => () => {
+  ctx.body = body(ctx.state.pageable);
+};
+
 describe('Tests', () => {
   const orders = [
     new Order('propertyA', Direction.asc),
@@ -35,6 +83,30 @@ describe('Tests', () => {
     { id: 4, firstName: 'Stevarino', lastName: 'Robertson' },
   ];
 
+  const nullableContent = [
+    { id: 1, firstName: 'Bob', lastName: 'Stevens' },
+    { id: 2, firstName: 'Steve', lastName: null },
+    { id: 3, firstName: 'Robert', lastName: 'Bobbins' },
+  ];
+
+  const nullHandlingOrders = [
+    [NullHandling.nullsFirst, Direction.asc, [2, 3, 1]],
+    [NullHandling.nullsFirst, Direction.desc, [2, 1, 3]],
+    [NullHandling.nullsLast, Direction.asc, [3, 1, 2]],
+    [NullHandling.nullsLast, Direction.desc, [1, 3, 2]],
+  ];
+
+  const mixedCaseContent = [
+    { id: 1, firstName: 'Bob', lastName: 'Zimmer' },
+    { id: 2, firstName: 'Steve', lastName: 'adams' },
+    { id: 3, firstName: 'Robert', lastName: 'Baker' },
+  ];
+
+  const ignoreCaseOrders = [
+    [Direction.asc, [2, 3, 1]],
+    [Direction.desc, [1, 3, 2]],
+  ];
+
   describe('Order class', () => {
     it('returns "asc" for the static _DEFAULT_DIRECTION class property', () => {
       expect(Order._DEFAULT_DIRECTION).toEqual('asc');
@@ -79,6 +151,74 @@ describe('Tests', () => {
       sort.forEach(iteratee);
       expect(valueGroups).toMatchSnapshot();
     });
+
+    it('iterates over every order exactly once', () => {
+      expect([...new Sort(orders)]).toEqual(orders);
+      expect([...new Sort()]).toEqual([]);
+    });
+
+    it('cannot be modified through its orders or the array it was created with', () => {
+      const array = orders.slice(0, 2);
+      const sort = new Sort(array);
+      array.push(orders[2]);
+      expect(sort.orders).toEqual(orders.slice(0, 2));
+      expect(() => sort.orders.push(orders[2])).toThrow(TypeError);
+    });
+
+    it('shares its frozen orders with the Sorts composed from it', () => {
+      const sort = new Sort(orders.slice(0, 2));
+      expect(sort.and(null).orders[0]).toBe(sort.orders[0]);
+      expect(Object.isFrozen(sort.orders[0])).toEqual(true);
+      expect(() => { sort.orders[0].direction = Direction.desc; }).toThrow(TypeError);
+    });
+
+    it('Sort.by() creates a Sort from properties and orders', () => {
+      expect(Sort.by('lastName', new Order('firstName', Direction.desc))).toEqual(new Sort([
+        new Order('lastName', Direction.asc),
+        new Order('firstName', Direction.desc),
+      ]));
+      expect(Sort.by().isSorted()).toEqual(false);
+    });
+
+    it('instance.and() appends the orders of another Sort to a new Sort', () => {
+      const sort = new Sort(orders.slice(0, 2));
+      const other = new Sort(orders.slice(2, 3));
+      expect(sort.and(other)).toEqual(new Sort(orders.slice(0, 3)));
+      expect(sort.and(null)).toEqual(sort);
+      expect(sort.and(null)).not.toBe(sort);
+      expect(sort.orders).toEqual(orders.slice(0, 2));
+    });
+
+    it('instance.reverse() reverses the direction of each order, keeping its flags', () => {
+      const sort = new Sort([
+        new Order('lastName', Direction.asc, NullHandling.nullsLast, true),
+        new Order('id', Direction.desc),
+      ]);
+      expect(sort.reverse()).toEqual(new Sort([
+        new Order('lastName', Direction.desc, NullHandling.nullsLast, true),
+        new Order('id', Direction.asc),
+      ]));
+      expect(sort.reverse().reverse()).toEqual(sort);
+    });
+
+    it('instance.getOrderFor() returns the order of a property, if any', () => {
+      const sort = new Sort(orders);
+      expect(sort.getOrderFor('propertyB')).toBe(orders[1]);
+      expect(sort.getOrderFor('propertyZ')).toBeUndefined();
+    });
+
+    it('instance.isSorted() returns whether there are any orders', () => {
+      expect(new Sort(orders).isSorted()).toEqual(true);
+      expect(new Sort([]).isSorted()).toEqual(false);
+    });
+
+    it('instance.filter() and instance.map() return new Sorts', () => {
+      const sort = new Sort(orders);
+      expect(sort.filter(it => it.direction === Direction.asc)).toEqual(new Sort([orders[0], orders[2]]));
+      expect(sort.map(it => new Order(`table.${it.property}`, it.direction)).orders.map(it => it.property))
+        .toEqual(['table.propertyA', 'table.propertyB', 'table.propertyC', 'table.propertyD', 'table.propertyE']);
+      expect(sort.orders).toEqual(orders);
+    });
   });
 
   describe('Pageable class', () => {
@@ -111,6 +251,36 @@ describe('Tests', () => {
       const invalidValues = pageable.sort.orders.filter(order => (order.property.length === 0));
       expect(invalidValues).toHaveLength(0);
     });
+
+    it('instance.getOffset() returns the number of elements preceding the page', () => {
+      expect(new Pageable(3, 20).getOffset()).toEqual(60);
+      expect(new Pageable().getOffset()).toEqual(0);
+    });
+
+    it('instance.hasPrevious() returns whether the page is after the first page', () => {
+      expect(new Pageable(1, 20).hasPrevious()).toEqual(true);
+      expect(new Pageable(0, 20).hasPrevious()).toEqual(false);
+    });
+
+    it('navigates to the next, previous and first pages, keeping the size, format and sort', () => {
+      const sort = new Sort(pageOrders);
+      const pageable = new Pageable(2, 5, true, sort);
+      expect(pageable.next()).toEqual(new Pageable(3, 5, true, sort));
+      expect(pageable.previousOrFirst()).toEqual(new Pageable(1, 5, true, sort));
+      expect(pageable.first()).toEqual(new Pageable(0, 5, true, sort));
+      expect(pageable.first().previousOrFirst()).toEqual(new Pageable(0, 5, true, sort));
+      expect(pageable.next().sort).toBe(sort);
+      expect(pageable).toEqual(new Pageable(2, 5, true, sort));
+    });
+
+    it('instance.withPage(), withSize() and withSort() return a new Pageable with the value replaced', () => {
+      const pageable = new Pageable(2, 5, true, 'lastName');
+      expect(pageable.withPage(7)).toEqual(new Pageable(7, 5, true, 'lastName'));
+      expect(pageable.withSize(50)).toEqual(new Pageable(2, 50, true, 'lastName'));
+      expect(pageable.withSort('firstName:desc')).toEqual(new Pageable(2, 5, true, 'firstName:desc'));
+      expect(pageable.withSort(null).sort).toBeUndefined();
+      expect(pageable).toEqual(new Pageable(2, 5, true, 'lastName'));
+    });
   });
 
   describe('ArrayPage class', () => {
@@ -176,6 +346,91 @@ describe('Tests', () => {
       const result = page.toJSON();
       expect(result).toMatchSnapshot();
     });
+
+    it('indexes the content by the specified id property', () => {
+      const documents = content.map(({ id, ...person }) => ({ uuid: `u-${id}`, ...person }));
+      const result = new IndexablePage(documents, 4, new Pageable(0, 2, true), 'uuid').toJSON();
+      expect(result.ids).toEqual(['u-1', 'u-2', 'u-3', 'u-4']);
+      expect(result.index['u-3']).toBe(documents[2]);
+    });
+
+    it('indexes the content by the id returned by an id function', () => {
+      const lines = [{ orderId: 1, line: 1 }, { orderId: 1, line: 2 }, { orderId: 2, line: 1 }];
+      const idOf = it => `${it.orderId}/${it.line}`;
+      const result = new IndexablePage(lines, 3, new Pageable(0, 3, true), idOf).toJSON();
+      expect(result).toBeInstanceOf(IndexedPage);
+      expect(result.ids).toEqual(['1/1', '1/2', '2/1']);
+      expect(result.index).toEqual({ '1/1': lines[0], '1/2': lines[1], '2/1': lines[2] });
+    });
+
+    it('keeps the id key through instance.map()', () => {
+      const idOf = it => it.lastName.toLowerCase();
+      const page = new IndexablePage(content, 4, new Pageable(0, 4, true), idOf)
+        .map(it => ({ lastName: it.lastName }))
+        .map(it => ({ ...it, initial: it.lastName[0] }));
+      expect(page.idKey).toBe(idOf);
+      expect(page.toJSON().ids).toEqual(['stevens', 'bobbins', 'stevenson', 'robertson']);
+      expect(new IndexablePage(content, 4, new Pageable(0, 4, true), 'lastName').map(it => it).idKey)
+        .toEqual('lastName');
+    });
+
+    describe('id conflicts', () => {
+      const people = [
+        { id: 1, name: 'Bob' },
+        { id: 2, name: 'Steve' },
+        { id: 1, name: 'Robert' },
+        { name: 'Nobody' },
+        { id: '2', name: 'Stevarino' },
+        { id: null, name: 'Null' },
+        { id: 3, name: 'Bobbins' },
+      ];
+      const indexed = policy => new IndexablePage(people, 7, new Pageable(0, 10, true), 'id', policy).toJSON();
+
+      it('throws an IdConflictError listing the duplicated ids and the positions of missing ids by default', () => {
+        let error;
+        try {
+          new IndexablePage(people, 7, new Pageable(0, 10, true)).toJSON();
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(IdConflictError);
+        expect(error).toBeInstanceOf(KoaPageableError);
+        expect(error.status).toEqual(500);
+        expect(error.duplicateIds).toEqual([1, '2']);
+        expect(error.missingIdIndexes).toEqual([3, 5]);
+        expect(error.toProblemDetails()).toMatchSnapshot();
+      });
+
+      it('does not check the ids when not indexed', () => {
+        const page = new IndexablePage(people, 7, new Pageable(0, 10, false));
+        expect(page.toJSON().content).toEqual(people);
+      });
+
+      it('keeps the first item of each id with the dedupe policy', () => {
+        const result = indexed(IdConflictPolicy.dedupe);
+        expect(result.ids).toEqual([1, 2, 3]);
+        expect(result.index).toEqual({ 1: people[0], 2: people[1], 3: people[6] });
+        expect(result.numberOfElements).toEqual(3);
+      });
+
+      it('leaves out every item of a duplicated id with the drop policy', () => {
+        const result = indexed(IdConflictPolicy.drop);
+        expect(result.ids).toEqual([3]);
+        expect(result.index).toEqual({ 3: people[6] });
+        expect(result.numberOfElements).toEqual(1);
+      });
+
+      it('keeps the policy through instance.map()', () => {
+        const page = new IndexablePage(people, 7, new Pageable(0, 10, true), 'id', IdConflictPolicy.drop);
+        expect(page.map(it => it).toJSON().ids).toEqual([3]);
+      });
+    });
+
+    it('does not serialize the id key', () => {
+      const page = new IndexablePage(content, 4, new Pageable(0, 4, true), it => it.id);
+      expect(JSON.parse(JSON.stringify(page))).not.toHaveProperty('idKey');
+      expect(JSON.parse(JSON.stringify(page.map(it => it)))).not.toHaveProperty('idKey');
+    });
   });
 
   describe('paginate function', () => {
@@ -231,4 +486,1569 @@ describe('Tests', () => {
       }
     });
   });
+
+  describe('createPaginate function', () => {
+    const next = () => {};
+
+    it('reads the page, size, sort and indexed values from the configured query parameter names', async () => {
+      const middleware = createPaginate({
+        pageParam: 'p',
+        sizeParam: 'limit',
+        sortParam: 'orderBy',
+        indexedParam: 'normalized',
+      });
+      const context = {
+        query: {
+          p: '3', limit: '25', orderBy: 'lastName:desc', normalized: 'true',
+        },
+        state: {},
+      };
+      await middleware(context, next);
+      expect(context.state.pageable).toEqual(new Pageable(3, 25, true, 'lastName:desc'));
+    });
+
+    it('ignores the default parameter names once they have been overridden', async () => {
+      const middleware = createPaginate({ sizeParam: 'pageSize' });
+      const context = { query: { size: '50' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.size).toEqual(10);
+    });
+
+    it('uses the configured default size and sort when the request does not specify them', async () => {
+      const middleware = createPaginate({ defaultSize: 50, defaultSort: 'lastName,firstName:desc' });
+      const context = { query: {}, state: {} };
+      await middleware(context, next);
+      expect(context.state).toMatchSnapshot();
+    });
+
+    it('prefers the requested sort over the configured default sort', async () => {
+      const middleware = createPaginate({ defaultSort: new Sort(pageOrders) });
+      const context = { query: { sort: 'id:desc' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([new Order('id', Direction.desc)]));
+    });
+
+    it('stores the pageable under the configured state key', async () => {
+      const middleware = createPaginate({ stateKey: 'paging' });
+      const context = { query: { page: '2' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable).toBeUndefined();
+      expect(context.state.paging).toEqual(new Pageable(2, 10));
+    });
+
+    it('defaults to a page size of 10, while the Pageable constructor keeps its default of 20', async () => {
+      const context = { query: {}, state: {} };
+      await createPaginate()(context, next);
+      expect(context.state.pageable).toEqual(new Pageable(0, 10));
+      expect(new Pageable().size).toEqual(20);
+    });
+  });
+
+  describe('page bounds', () => {
+    const next = () => {};
+
+    it('clamps the page size to maxSize by default', async () => {
+      const middleware = createPaginate({ maxSize: 100 });
+      const context = { query: { size: '1000000' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.size).toEqual(100);
+    });
+
+    it('throws PageSizeExceededError when the page size exceeds maxSize with the reject strategy', async () => {
+      const middleware = createPaginate({ maxSize: 100, maxSizeStrategy: MaxSizeStrategy.reject });
+      const context = { query: { size: '101' }, state: {} };
+      await expect(middleware(context, next)).rejects.toBeInstanceOf(PageSizeExceededError);
+    });
+
+    it('accepts a page size equal to maxSize', async () => {
+      const middleware = createPaginate({ maxSize: 100, maxSizeStrategy: MaxSizeStrategy.reject });
+      const context = { query: { size: '100' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.size).toEqual(100);
+    });
+
+    [{ defaultSize: 50, maxSize: 20 }, { defaultSize: 0 }].forEach((options) => {
+      it(`rejects the inconsistent options ${JSON.stringify(options)} when the middleware is created`, () => {
+        expect(() => createPaginate(options)).toThrow('defaultSize must be between 1 and maxSize');
+      });
+    });
+
+    it('accepts a default size equal to maxSize', async () => {
+      const middleware = createPaginate({ defaultSize: 20, maxSize: 20, maxSizeStrategy: MaxSizeStrategy.reject });
+      const context = { query: {}, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.size).toEqual(20);
+    });
+
+    it('throws PageBoundsError for a negative page', async () => {
+      const context = { query: { page: '-5' }, state: {} };
+      await expect(paginate(context, next)).rejects.toBeInstanceOf(PageBoundsError);
+    });
+
+    ['0', '-1'].forEach((size) => {
+      it(`throws PageBoundsError for a page size of ${size}`, async () => {
+        const context = { query: { size }, state: {} };
+        await expect(paginate(context, next)).rejects.toBeInstanceOf(PageBoundsError);
+      });
+    });
+
+    it('treats an explicit page of 0 as the first page', async () => {
+      const context = { query: { page: '0' }, state: {} };
+      await paginate(context, next);
+      expect(context.state.pageable.page).toEqual(0);
+    });
+  });
+
+  describe('cursor pagination', () => {
+    const next = () => {};
+    const sort = new Sort(pageOrders);
+
+    it('encodeCursor() output is url-safe and decodes back to the original values', () => {
+      const values = { firstName: 'Bob?>>', id: 1 };
+      const cursor = encodeCursor(values);
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor)).toEqual(values);
+    });
+
+    ['not a cursor', Buffer.from('[1,2]').toString('base64'), Buffer.from('null').toString('base64')].forEach((cursor) => {
+      it(`decodeCursor() throws InvalidCursorError for '${cursor}'`, () => {
+        expect(() => decodeCursor(cursor)).toThrow(InvalidCursorError);
+      });
+    });
+
+    it('CursorPageable decodes the after cursor into cursorValues', () => {
+      const after = encodeCursor({ firstName: 'Bob', lastName: 'Stevens' });
+      const pageable = new CursorPageable(2, sort, after);
+      expect(pageable).toMatchSnapshot();
+    });
+
+    it('CursorPageable throws InvalidCursorError when the cursor does not match the sort', () => {
+      const after = encodeCursor({ id: 1 });
+      expect(() => new CursorPageable(2, sort, after)).toThrow(InvalidCursorError);
+    });
+
+    it('CursorPageable accepts its own cursors for a sort that repeats a property', () => {
+      const repeated = new CursorPageable(2, 'id,lastName,id:desc');
+      const page = new CursorPage(content.slice(0, 2), repeated, true);
+      expect(new CursorPageable(2, 'id,lastName,id:desc', page.nextCursor).cursorValues).toEqual({
+        id: 2,
+        lastName: 'Bobbins',
+      });
+    });
+
+    it('CursorPageable throws InvalidCursorError when both cursors are specified', () => {
+      const cursor = encodeCursor({ firstName: 'Bob', lastName: 'Stevens' });
+      expect(() => new CursorPageable(2, sort, cursor, cursor)).toThrow(InvalidCursorError);
+    });
+
+    it('CursorPageable throws InvalidCursorError when there is no sort', () => {
+      expect(() => new CursorPageable(2)).toThrow(InvalidCursorError);
+    });
+
+    it('CursorPage encodes next and previous cursors from the sort properties of its first and last elements', () => {
+      const after = encodeCursor({ firstName: 'Alan', lastName: 'Adams' });
+      const page = new CursorPage(content.slice(0, 2), new CursorPageable(2, sort, after), true);
+      expect(page.hasPrevious).toBe(true);
+      expect(decodeCursor(page.nextCursor)).toEqual({ firstName: 'Steve', lastName: 'Bobbins' });
+      expect(decodeCursor(page.prevCursor)).toEqual({ firstName: 'Bob', lastName: 'Stevens' });
+      expect(page).toMatchSnapshot();
+    });
+
+    it('CursorPage has no cursors for the first and only page', () => {
+      const page = new CursorPage(content, new CursorPageable(10, sort), false);
+      expect(page.nextCursor).toBeNull();
+      expect(page.prevCursor).toBeNull();
+    });
+
+    it('CursorPage.map() transforms the content and keeps the cursors', () => {
+      const page = new CursorPage(content.slice(0, 2), new CursorPageable(2, sort), true);
+      const result = page.map(it => ({ name: `${it.firstName} ${it.lastName}` }));
+      expect(result).toBeInstanceOf(CursorPage);
+      expect(result.content).toEqual([{ name: 'Bob Stevens' }, { name: 'Steve Bobbins' }]);
+      expect(result.nextCursor).toEqual(page.nextCursor);
+      expect(result.hasNext).toBe(true);
+    });
+
+    it('the middleware creates a CursorPageable from the after parameter in cursor mode', async () => {
+      const middleware = createPaginate({ mode: PagingMode.cursor, defaultSort: 'lastName' });
+      const after = encodeCursor({ lastName: 'Bobbins' });
+      const context = { query: { after, size: '5' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable).toEqual(new CursorPageable(5, 'lastName', after));
+    });
+
+    it('the middleware creates a CursorPageable from the before parameter in cursor mode', async () => {
+      const middleware = createPaginate({ mode: PagingMode.cursor });
+      const before = encodeCursor({ lastName: 'Bobbins' });
+      const context = { query: { before, sort: 'lastName' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.before).toEqual(before);
+      expect(context.state.pageable.cursorValues).toEqual({ lastName: 'Bobbins' });
+    });
+
+    ['abc', '-1'].forEach((pageNumber) => {
+      it(`the middleware ignores the page parameter "${pageNumber}" in cursor mode`, async () => {
+        const middleware = createPaginate({ mode: PagingMode.cursor, defaultSort: 'lastName' });
+        const context = { query: { page: pageNumber, size: '5' }, state: {} };
+        await middleware(context, next);
+        expect(context.state.pageable).toEqual(new CursorPageable(5, 'lastName'));
+      });
+    });
+
+    it('the middleware ignores cursor parameters in offset mode', async () => {
+      const context = { query: { after: encodeCursor({ lastName: 'Bobbins' }) }, state: {} };
+      await paginate(context, next);
+      expect(context.state.pageable).toBeInstanceOf(Pageable);
+    });
+  });
+
+  describe('Link header', () => {
+    it('is not written unless enabled', async () => {
+      const ctx = createContext('/people?page=1&size=2');
+      await paginate(ctx, respondWith(ctx, pageable => new ArrayPage(content.slice(2), 10, pageable)));
+      expect(ctx.response.get('Link')).toEqual('');
+    });
+
+    it('links to the first, previous, next and last pages of a Page body', async () => {
+      const middleware = createPaginate({ linkHeader: true });
+      const ctx = createContext('/people?page=1&size=2&sort=lastName:desc&indexed=true');
+      await middleware(ctx, respondWith(ctx, pageable => new IndexablePage(content.slice(2), 10, pageable)));
+      expect(ctx.response.get('Link')).toEqual([
+        '<http://localhost/people?page=0&size=2&sort=lastName%3Adesc&indexed=true>; rel="first"',
+        '<http://localhost/people?page=0&size=2&sort=lastName%3Adesc&indexed=true>; rel="prev"',
+        '<http://localhost/people?page=2&size=2&sort=lastName%3Adesc&indexed=true>; rel="next"',
+        '<http://localhost/people?page=4&size=2&sort=lastName%3Adesc&indexed=true>; rel="last"',
+      ].join(', '));
+    });
+
+    it('keeps the path prefix of a mounted app', async () => {
+      const middleware = createPaginate({ linkHeader: true });
+      const ctx = createContext('/api/people?size=2');
+      ctx.path = '/people';
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage(content.slice(0, 2), 4, pageable)));
+      expect(ctx.response.get('Link')).toContain('<http://localhost/api/people?size=2&page=1>; rel="next"');
+    });
+
+    it('omits the previous link on the first page and the next link on the last page', async () => {
+      const middleware = createPaginate({ linkHeader: true, pageParam: 'p' });
+      const ctx = createContext('/people?filter=active');
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage(content, 4, pageable)));
+      expect(ctx.response.get('Link')).toEqual([
+        '<http://localhost/people?filter=active&size=10&p=0>; rel="first"',
+        '<http://localhost/people?filter=active&size=10&p=0>; rel="last"',
+      ].join(', '));
+    });
+
+    it('links to the neighboring pages of a CursorPage body using its cursors', async () => {
+      const middleware = createPaginate({ linkHeader: true, mode: PagingMode.cursor, defaultSort: 'id' });
+      const after = encodeCursor({ id: 0 });
+      const ctx = createContext(`/people?size=2&after=${after}`);
+      await middleware(ctx, respondWith(ctx, pageable => new CursorPage(content.slice(0, 2), pageable, true)));
+      const page = ctx.body;
+      expect(ctx.response.get('Link')).toEqual([
+        '<http://localhost/people?size=2&sort=id%3Aasc>; rel="first"',
+        `<http://localhost/people?size=2&sort=id%3Aasc&before=${page.prevCursor}>; rel="prev"`,
+        `<http://localhost/people?size=2&sort=id%3Aasc&after=${page.nextCursor}>; rel="next"`,
+      ].join(', '));
+    });
+
+    it('is not written when the body is not a page', async () => {
+      const middleware = createPaginate({ linkHeader: true });
+      const ctx = createContext('/people');
+      await middleware(ctx, respondWith(ctx, () => ({ message: 'not a page' })));
+      expect(ctx.response.get('Link')).toEqual('');
+    });
+  });
+
+  describe('metadata headers', () => {
+    it('are not written unless enabled', async () => {
+      const ctx = createContext('/people?page=1&size=2');
+      await paginate(ctx, respondWith(ctx, pageable => new ArrayPage(content.slice(2), 10, pageable)));
+      expect(ctx.response.get('X-Total-Count')).toEqual('');
+      expect(ctx.response.get('Content-Range')).toEqual('');
+      expect(ctx.response.get('Access-Control-Expose-Headers')).toEqual('');
+    });
+
+    it('mirror the totals of a Page body into the default headers and expose them', async () => {
+      const middleware = createPaginate({ metadataHeaders: true, contentRangeHeader: true });
+      const ctx = createContext('/people?page=1&size=2');
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage(content.slice(2), 10, pageable)));
+      expect(ctx.response.headers).toMatchSnapshot();
+    });
+
+    it('are written to the configured header names', async () => {
+      const middleware = createPaginate({ metadataHeaders: { totalElements: 'Total', number: 'Page-Number' } });
+      const ctx = createContext('/people?page=1&size=2');
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage(content.slice(2), 10, pageable)));
+      expect(ctx.response.get('Total')).toEqual('10');
+      expect(ctx.response.get('Page-Number')).toEqual('1');
+      expect(ctx.response.get('X-Total-Pages')).toEqual('5');
+      expect(ctx.response.get('X-Total-Count')).toEqual('');
+    });
+
+    it('write an unsatisfied Content-Range for an empty page', async () => {
+      const middleware = createPaginate({ contentRangeHeader: true });
+      const ctx = createContext('/people?page=7&size=2');
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage([], 10, pageable)));
+      expect(ctx.response.get('Content-Range')).toEqual('items */10');
+    });
+
+    it('keep headers already exposed by other middleware', async () => {
+      const middleware = createPaginate({ metadataHeaders: true, linkHeader: true });
+      const ctx = createContext('/people');
+      ctx.set('Access-Control-Expose-Headers', 'ETag, x-total-count');
+      await middleware(ctx, respondWith(ctx, pageable => new ArrayPage(content, 4, pageable)));
+      expect(ctx.response.get('Access-Control-Expose-Headers'))
+        .toEqual('ETag, x-total-count, Link, X-Total-Pages, X-Page, X-Page-Size');
+    });
+
+    it('are not written for a CursorPage body', async () => {
+      const middleware = createPaginate({ metadataHeaders: true, mode: PagingMode.cursor, defaultSort: 'id' });
+      const ctx = createContext('/people');
+      await middleware(ctx, respondWith(ctx, pageable => new CursorPage(content, pageable, false)));
+      expect(ctx.response.get('X-Total-Count')).toEqual('');
+    });
+  });
+
+  describe('sort property restrictions', () => {
+    const next = () => {};
+
+    it('accepts sorts on allowed properties', async () => {
+      const middleware = createPaginate({ sortProperties: ['firstName', 'lastName'] });
+      const context = { query: { sort: 'lastName:desc,firstName' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([
+        new Order('lastName', Direction.desc),
+        new Order('firstName', Direction.asc),
+      ]));
+    });
+
+    ['password_hash', 'foo;drop table'].forEach((property) => {
+      it(`throws InvalidSortPropertyError for a sort on "${property}"`, async () => {
+        const middleware = createPaginate({ sortProperties: ['firstName', 'lastName'] });
+        const context = { query: { sort: ['lastName', property] }, state: {} };
+        await expect(middleware(context, next)).rejects.toBeInstanceOf(InvalidSortPropertyError);
+      });
+    });
+
+    it('translates aliased properties and allows them without listing them', async () => {
+      const middleware = createPaginate({
+        sortProperties: ['id'],
+        sortAliases: { lastName: 'people.last_name' },
+      });
+      const context = { query: { sort: 'lastName:desc,id' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([
+        new Order('people.last_name', Direction.desc),
+        new Order('id', Direction.asc),
+      ]));
+    });
+
+    it('does not apply the restrictions and aliases to a default sort string', async () => {
+      const middleware = createPaginate({
+        defaultSort: 'people.last_name',
+        sortProperties: ['lastName'],
+        sortAliases: { lastName: 'people.last_name' },
+      });
+      const context = { query: {}, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([new Order('people.last_name')]));
+    });
+
+    it('lists a property that is both allowed and aliased once in InvalidSortPropertyError', async () => {
+      const middleware = createPaginate({ sortProperties: ['lastName'], sortAliases: { lastName: 'last_name' } });
+      const context = { query: { sort: 'password' }, state: {} };
+      await expect(middleware(context, next)).rejects.toMatchObject({
+        message: 'Invalid Sort Property "password", must be one of "lastName"',
+      });
+    });
+
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach((property) => {
+      it(`reads "${property}" as a property name rather than a member of Object.prototype`, async () => {
+        const context = { query: { sort: `${property}:desc` }, state: {} };
+        await paginate(context, next);
+        expect(context.state.pageable.sort).toEqual(new Sort([new Order(property, Direction.desc)]));
+        expect(typeof context.state.pageable.sort.orders[0].property).toEqual('string');
+      });
+    });
+
+    it('writes "constructor" back as is in the Link header', async () => {
+      const ctx = createContext('/people?sort=constructor');
+      await createPaginate({ linkHeader: true, sortAliases: { lastName: 'last_name' } })(ctx, () => {
+        ctx.body = new ArrayPage(content, 4, ctx.state.pageable);
+      });
+      expect(ctx.response.get('Link')).toContain('sort=constructor%3Aasc');
+    });
+
+    it('translates aliased properties back in the Link header', async () => {
+      const middleware = createPaginate({ linkHeader: true, sortAliases: { lastName: 'people.last_name' } });
+      const ctx = createContext('/people?sort=lastName');
+      await middleware(ctx, () => {
+        ctx.body = new ArrayPage(content, 4, ctx.state.pageable);
+      });
+      expect(ctx.response.get('Link')).toContain('sort=lastName%3Aasc');
+    });
+
+    it('allows but does not translate aliased properties in cursor mode, so the cursors can be followed', async () => {
+      const middleware = createPaginate({
+        mode: PagingMode.cursor,
+        linkHeader: true,
+        sortProperties: ['firstName'],
+        sortAliases: { lastName: 'people.last_name' },
+      });
+      const ctx = createContext('/people?sort=lastName&size=2');
+      await middleware(ctx, () => {
+        ctx.body = new CursorPage(content.slice(0, 2), ctx.state.pageable, true);
+      });
+      expect(ctx.state.pageable.sort).toEqual(new Sort([new Order('lastName')]));
+      const nextUrl = /<([^>]*)>; rel="next"/.exec(ctx.response.get('Link'))[1];
+
+      const nextCtx = createContext(nextUrl.replace('http://localhost', ''));
+      await middleware(nextCtx, next);
+      expect(nextCtx.state.pageable.cursorValues).toEqual({ lastName: 'Bobbins' });
+    });
+  });
+
+  describe('tie-breaker order', () => {
+    const next = () => {};
+
+    it('is appended to a requested sort that does not include its property', async () => {
+      const middleware = createPaginate({ tieBreaker: 'id:asc' });
+      const context = { query: { sort: 'lastName:desc' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([
+        new Order('lastName', Direction.desc),
+        new Order('id', Direction.asc),
+      ]));
+    });
+
+    it('is not appended to a requested sort that already includes its property', async () => {
+      const middleware = createPaginate({ tieBreaker: new Order('id') });
+      const context = { query: { sort: 'id:desc,lastName' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([
+        new Order('id', Direction.desc),
+        new Order('lastName', Direction.asc),
+      ]));
+    });
+
+    it('is used as the sort when no sort is requested or configured', async () => {
+      const middleware = createPaginate({ tieBreaker: 'id:desc' });
+      const context = { query: {}, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([new Order('id', Direction.desc)]));
+    });
+
+    it('is appended to the default sort without modifying it', async () => {
+      const defaultSort = new Sort([new Order('lastName')]);
+      const middleware = createPaginate({ defaultSort, tieBreaker: 'id' });
+      const context = { query: {}, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([new Order('lastName'), new Order('id')]));
+      expect(defaultSort.orders).toHaveLength(1);
+    });
+
+    it('is not subject to the sort property restrictions', async () => {
+      const middleware = createPaginate({ sortProperties: ['lastName'], tieBreaker: 'id' });
+      const context = { query: { sort: 'lastName' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable.sort).toEqual(new Sort([new Order('lastName'), new Order('id')]));
+    });
+
+    it('is left out of the sort of the Link header, so the links can be followed', async () => {
+      const middleware = createPaginate({ linkHeader: true, sortProperties: ['lastName'], tieBreaker: 'id' });
+      const ctx = createContext('/people?sort=lastName&size=2');
+      await middleware(ctx, () => {
+        ctx.body = new ArrayPage(content.slice(0, 2), 4, ctx.state.pageable);
+      });
+      const nextUrl = /<([^>]*)>; rel="next"/.exec(ctx.response.get('Link'))[1];
+      expect(nextUrl).toEqual('http://localhost/people?sort=lastName%3Aasc&size=2&page=1');
+
+      const nextCtx = createContext(nextUrl.replace('http://localhost', ''));
+      await middleware(nextCtx, next);
+      expect(nextCtx.state.pageable.sort).toEqual(new Sort([new Order('lastName'), new Order('id')]));
+    });
+  });
+
+  describe('paginateKnex function', () => {
+    let knex;
+
+    beforeAll(async () => {
+      knex = Knex({ client: 'sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+      const tables = { people: content, nullable_people: nullableContent, mixed_case_people: mixedCaseContent };
+      await Promise.all(Object.keys(tables).map(async (name) => {
+        await knex.schema.createTable(name, (table) => {
+          table.integer('id').primary();
+          table.string('firstName');
+          table.string('lastName');
+        });
+        await knex(name).insert(tables[name]);
+      }));
+    });
+
+    afterAll(() => knex.destroy());
+
+    it('returns the requested page of the sorted query results as an ArrayPage', async () => {
+      const pageable = new Pageable(1, 2, false, 'lastName:desc');
+      const page = await paginateKnex(knex('people'), pageable);
+      expect(page).toBeInstanceOf(ArrayPage);
+      expect(page).toMatchSnapshot();
+    });
+
+    it('returns an IndexablePage when the pageable is indexed', async () => {
+      const pageable = new Pageable(0, 3, true, 'firstName');
+      const page = await paginateKnex(knex('people'), pageable);
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(page.content.map(it => it.id)).toEqual([1, 3, 4]);
+      expect(page.totalElements).toEqual(4);
+    });
+
+    it('applies the specified id conflict policy', async () => {
+      const idKey = it => it.lastName.slice(0, 3);
+      const page = await paginateKnex(knex('people'), new Pageable(0, 4, true, 'id'), idKey, IdConflictPolicy.dedupe);
+      expect(page.toJSON().ids).toEqual(['Ste', 'Bob', 'Rob']);
+    });
+
+    it('counts the elements matched by the query, ignoring the page', async () => {
+      const query = knex('people').where('lastName', 'like', 'Steven%');
+      const page = await paginateKnex(query, new Pageable(0, 1, false, 'id:desc'));
+      expect(page.content.map(it => it.id)).toEqual([3]);
+      expect(page.totalElements).toEqual(2);
+      expect(page.totalPages).toEqual(2);
+    });
+
+    it('counts grouped queries by their number of rows', async () => {
+      const query = knex('people').select('firstName').count('* as people').groupBy('firstName');
+      const page = await paginateKnex(query, new Pageable(0, 10));
+      expect(page.totalElements).toEqual(4);
+    });
+
+    it('indexes the rows by the specified id key', async () => {
+      const page = await paginateKnex(knex('people'), new Pageable(0, 2, true, 'id'), it => `${it.firstName}-${it.id}`);
+      expect(page.toJSON().ids).toEqual(['Bob-1', 'Steve-2']);
+    });
+
+    it('does not modify the query builder', async () => {
+      const query = knex('people').select('id');
+      await paginateKnex(query, new Pageable(1, 1, false, 'id'));
+      expect(query.toString()).toEqual('select `id` from `people`');
+    });
+
+    nullHandlingOrders.forEach(([nullHandling, direction, expected]) => {
+      it(`orders by ${direction} ${nullHandling}`, async () => {
+        const sort = new Sort([new Order('lastName', direction, nullHandling)]);
+        const page = await paginateKnex(knex('nullable_people'), new Pageable(0, 3, false, sort));
+        expect(page.content.map(it => it.id)).toEqual(expected);
+      });
+    });
+
+    ignoreCaseOrders.forEach(([direction, expected]) => {
+      it(`orders ${direction} ignoring case`, async () => {
+        const sort = new Sort([new Order('lastName', direction, null, true)]);
+        const page = await paginateKnex(knex('mixed_case_people'), new Pageable(0, 3, false, sort));
+        expect(page.content.map(it => it.id)).toEqual(expected);
+      });
+    });
+  });
+
+  describe('Page.fromArray() method', () => {
+    const people = [
+      { id: 1, firstName: 'Bob', lastName: 'Stevens' },
+      { id: 2, firstName: 'Steve', lastName: null },
+      { id: 3, firstName: 'Bob', lastName: 'Bobbins' },
+      { id: 4, firstName: 'Alice' },
+      { id: 5, firstName: 'Steve', lastName: 'Adams' },
+    ];
+
+    it('returns the requested page of the unsorted array as an ArrayPage', () => {
+      const page = Page.fromArray(people, new Pageable(1, 2));
+      expect(page).toBeInstanceOf(ArrayPage);
+      expect(page.content.map(it => it.id)).toEqual([3, 4]);
+      expect(page.totalElements).toEqual(5);
+      expect(page.totalPages).toEqual(3);
+    });
+
+    it('returns an IndexablePage when the pageable is indexed', () => {
+      const page = Page.fromArray(people, new Pageable(0, 2, true));
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(page).toMatchSnapshot();
+    });
+
+    it('indexes the page by the specified id key', () => {
+      const page = Page.fromArray(people, new Pageable(0, 2, true), it => `person-${it.id}`);
+      expect(page.toJSON().ids).toEqual(['person-1', 'person-2']);
+    });
+
+    it('applies the specified id conflict policy', () => {
+      const page = Page.fromArray(people, new Pageable(0, 5, true), 'firstName', IdConflictPolicy.dedupe);
+      expect(page.toJSON().ids).toEqual(['Bob', 'Steve', 'Alice']);
+    });
+
+    it('orders by each Order in turn, honoring its direction', () => {
+      const page = Page.fromArray(people, new Pageable(0, 5, false, 'firstName:desc,lastName'));
+      expect(page.content.map(it => it.id)).toEqual([5, 2, 3, 1, 4]);
+    });
+
+    it('orders null and undefined values last in ascending order', () => {
+      const page = Page.fromArray(people, new Pageable(0, 5, false, 'lastName'));
+      expect(page.content.map(it => it.id)).toEqual([5, 3, 1, 2, 4]);
+    });
+
+    it('orders null and undefined values first in descending order', () => {
+      const page = Page.fromArray(people, new Pageable(0, 5, false, 'lastName:desc'));
+      expect(page.content.map(it => it.id)).toEqual([2, 4, 1, 3, 5]);
+    });
+
+    it('keeps the relative order of equal elements and does not modify the array', () => {
+      const copy = people.slice();
+      const page = Page.fromArray(people, new Pageable(0, 5, false, 'firstName'));
+      expect(page.content.map(it => it.id)).toEqual([4, 1, 3, 2, 5]);
+      expect(people).toEqual(copy);
+    });
+
+    it('returns an empty page when the requested page is past the end of the array', () => {
+      const page = Page.fromArray(people, new Pageable(3, 2));
+      expect(page.content).toEqual([]);
+      expect(page.last).toBe(true);
+    });
+  });
+
+  describe('paginateMongoose function', () => {
+    const documents = content.map(({ id, ...person }) => ({ _id: `5a${id}`, ...person }));
+
+    // Stand-in for a Mongoose model, supporting equality filters and the query methods used by the adapter
+    const matches = filter => doc => Object.keys(filter).every(key => doc[key] === filter[key]);
+    const Person = {
+      find(filter = {}) {
+        const calls = {};
+        const options = {};
+        const query = {
+          model: Person,
+          calls,
+          getFilter: () => filter,
+          getOptions: () => options,
+          collation: (spec) => { calls.collation = spec; options.collation = spec; return query; },
+          sort: (spec) => { calls.sort = spec; return query; },
+          skip: (n) => { calls.skip = n; return query; },
+          limit: (n) => { calls.limit = n; return query; },
+          exec: () => {
+            const keys = Object.keys(calls.sort || {});
+            const sorted = documents.filter(matches(filter)).sort((a, b) => {
+              const key = keys.find(it => a[it] !== b[it]);
+              return key ? calls.sort[key] * (a[key] < b[key] ? -1 : 1) : 0;
+            });
+            return Promise.resolve(sorted.slice(calls.skip, calls.skip + calls.limit));
+          },
+        };
+        return query;
+      },
+      countDocuments(filter) {
+        const count = {
+          collation: (spec) => { Person.countCollation = spec; return count; },
+          exec: () => Promise.resolve(documents.filter(matches(filter)).length),
+        };
+        return count;
+      },
+    };
+
+    it('applies the sort, skip and limit of the pageable to the query', async () => {
+      const query = Person.find();
+      await paginateMongoose(query, new Pageable(1, 2, false, 'lastName:desc,firstName'));
+      expect(query.calls).toEqual({ sort: { lastName: -1, firstName: 1 }, skip: 2, limit: 2 });
+    });
+
+    it('returns the documents and the number of documents matching the filter as an IndexablePage', async () => {
+      const page = await paginateMongoose(Person.find({ firstName: 'Bob' }), new Pageable(0, 1));
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(page.content).toEqual([documents[0]]);
+      expect(page.totalElements).toEqual(1);
+    });
+
+    it('indexes the documents by _id by default', async () => {
+      const page = await paginateMongoose(Person.find(), new Pageable(0, 2, true, 'firstName:desc'));
+      expect(page.toJSON()).toMatchSnapshot();
+    });
+
+    it('indexes the documents by the specified id key', async () => {
+      const page = await paginateMongoose(Person.find(), new Pageable(0, 2, true, 'lastName'), 'lastName');
+      expect(page.toJSON().ids).toEqual(['Bobbins', 'Robertson']);
+    });
+
+    it('applies the specified id conflict policy', async () => {
+      const idKey = it => it.lastName.slice(0, 3);
+      const page = await paginateMongoose(Person.find(), new Pageable(0, 4, true, '_id'), idKey, IdConflictPolicy.drop);
+      expect(page.toJSON().ids).toEqual(['Bob', 'Rob']);
+    });
+
+    it('applies a case-insensitive collation to the query and count when an order ignores case', async () => {
+      const query = Person.find();
+      const sort = new Sort([new Order('lastName', Direction.asc, null, true)]);
+      await paginateMongoose(query, new Pageable(0, 2, false, sort));
+      expect(query.calls.collation).toEqual({ locale: 'en', strength: 2 });
+      expect(Person.countCollation).toEqual({ locale: 'en', strength: 2 });
+    });
+
+    it('keeps the collation of the query', async () => {
+      const query = Person.find().collation({ locale: 'fr' });
+      await paginateMongoose(query, new Pageable(0, 2, false, 'lastName:ignorecase'));
+      expect(query.calls.collation).toEqual({ locale: 'fr' });
+    });
+  });
+
+  describe('paginateObjection function', () => {
+    let knex;
+    class Person extends Model {
+      static get tableName() {
+        return 'people';
+      }
+    }
+
+    beforeAll(async () => {
+      knex = Knex({ client: 'sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+      await knex.schema.createTable('people', (table) => {
+        table.integer('id').primary();
+        table.string('firstName');
+        table.string('lastName');
+      });
+      await knex('people').insert(content);
+      Person.knex(knex);
+    });
+
+    afterAll(() => knex.destroy());
+
+    it('returns the requested page of the sorted query results as an ArrayPage', async () => {
+      const page = await paginateObjection(Person.query(), new Pageable(1, 3, false, 'lastName:desc'));
+      expect(page).toBeInstanceOf(ArrayPage);
+      expect(page.content.map(it => it.id)).toEqual([2]);
+      expect(page.content[0]).toBeInstanceOf(Person);
+      expect(page.totalElements).toEqual(4);
+    });
+
+    it('returns an IndexablePage when the pageable is indexed', async () => {
+      const query = Person.query().where('firstName', 'like', 'Stev%');
+      const page = await paginateObjection(query, new Pageable(0, 1, true, 'firstName'));
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(page.content.map(it => it.id)).toEqual([4]);
+      expect(page.totalElements).toEqual(2);
+    });
+
+    it('applies the specified id conflict policy', async () => {
+      const idKey = it => it.lastName.slice(0, 3);
+      const page = await paginateObjection(Person.query(), new Pageable(0, 4, true, 'id'), idKey, IdConflictPolicy.drop);
+      expect(page.toJSON().ids).toEqual(['Bob', 'Rob']);
+    });
+
+    it('does not modify the query builder', async () => {
+      const query = Person.query().select('id');
+      await paginateObjection(query, new Pageable(1, 1, false, 'id'));
+      expect(query.toKnexQuery().toString()).toEqual('select `id` from `people`');
+    });
+  });
+
+  describe('paginateSequelize function', () => {
+    const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+    const definePerson = (modelName, tableName) => sequelize.define(modelName, {
+      id: { type: Sequelize.INTEGER, primaryKey: true },
+      firstName: Sequelize.STRING,
+      lastName: Sequelize.STRING,
+    }, { tableName, timestamps: false });
+    const Person = definePerson('Person', 'people');
+    const NullablePerson = definePerson('NullablePerson', 'nullable_people');
+    const MixedCasePerson = definePerson('MixedCasePerson', 'mixed_case_people');
+
+    beforeAll(async () => {
+      await sequelize.sync();
+      await Person.bulkCreate(content);
+      await NullablePerson.bulkCreate(nullableContent);
+      await MixedCasePerson.bulkCreate(mixedCaseContent);
+    });
+
+    afterAll(() => sequelize.close());
+
+    it('returns the requested page of the sorted query results as an ArrayPage', async () => {
+      const page = await paginateSequelize(Person, new Pageable(1, 3, false, 'lastName:desc'));
+      expect(page).toBeInstanceOf(ArrayPage);
+      expect(page.content.map(it => it.id)).toEqual([2]);
+      expect(page.totalElements).toEqual(4);
+    });
+
+    it('returns an IndexablePage when the pageable is indexed', async () => {
+      const options = { where: { firstName: { [Sequelize.Op.like]: 'Stev%' } }, raw: true };
+      const page = await paginateSequelize(Person, new Pageable(0, 1, true, 'firstName'), options);
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(page.toJSON()).toMatchSnapshot();
+    });
+
+    it('applies the specified id conflict policy', async () => {
+      const pageable = new Pageable(0, 4, true, 'id');
+      const idKey = it => it.lastName.slice(0, 3);
+      const page = await paginateSequelize(Person, pageable, { raw: true }, idKey, IdConflictPolicy.dedupe);
+      expect(page.toJSON().ids).toEqual(['Ste', 'Bob', 'Rob']);
+    });
+
+    it('orders by the pageable sort ahead of the order in the options, without modifying them', async () => {
+      const options = { order: [['id', 'DESC']], raw: true };
+      const page = await paginateSequelize(Person, new Pageable(0, 4, false, 'firstName'), options);
+      expect(page.content.map(it => it.id)).toEqual([1, 3, 4, 2]);
+      expect(options).toEqual({ order: [['id', 'DESC']], raw: true });
+    });
+
+    it('counts the groups of grouped queries', async () => {
+      const options = { attributes: ['firstName'], group: ['firstName'], raw: true };
+      const page = await paginateSequelize(Person, new Pageable(0, 2, false, 'firstName'), options);
+      expect(page.content).toEqual([{ firstName: 'Bob' }, { firstName: 'Robert' }]);
+      expect(page.totalElements).toEqual(4);
+    });
+
+    nullHandlingOrders.forEach(([nullHandling, direction, expected]) => {
+      it(`orders by ${direction} ${nullHandling}`, async () => {
+        const sort = new Sort([new Order('lastName', direction, nullHandling)]);
+        const page = await paginateSequelize(NullablePerson, new Pageable(0, 3, false, sort), { raw: true });
+        expect(page.content.map(it => it.id)).toEqual(expected);
+      });
+    });
+
+    ignoreCaseOrders.forEach(([direction, expected]) => {
+      it(`orders ${direction} ignoring case`, async () => {
+        const sort = new Sort([new Order('lastName', direction, null, true)]);
+        const page = await paginateSequelize(MixedCasePerson, new Pageable(0, 3, false, sort), { raw: true });
+        expect(page.content.map(it => it.id)).toEqual(expected);
+      });
+    });
+  });
+
+  describe('paginationErrorHandler function', () => {
+    const handle = async (middleware, url) => {
+      const ctx = createContext(url);
+      await paginationErrorHandler(ctx, () => middleware(ctx, () => {}));
+      return ctx;
+    };
+
+    it('responds with problem details for an invalid page number', async () => {
+      const ctx = await handle(createPaginate({ pageParam: 'p' }), '/people?p=first');
+      expect(ctx.status).toEqual(400);
+      expect(ctx.response.get('Content-Type')).toEqual('application/problem+json');
+      expect(ctx.body).toMatchSnapshot();
+    });
+
+    it('responds with problem details listing the allowed directions for an invalid sort direction', async () => {
+      const ctx = await handle(paginate, '/people?sort=lastName:up');
+      expect(ctx.body).toMatchSnapshot();
+    });
+
+    it('responds with problem details listing the allowed properties for an invalid sort property', async () => {
+      const ctx = await handle(createPaginate({ sortProperties: ['lastName'] }), '/people?sort=password');
+      expect(ctx.body).toEqual({
+        type: 'about:blank',
+        title: 'Bad Request',
+        status: 400,
+        detail: 'Invalid Sort Property "password", must be one of "lastName"',
+        code: 'InvalidSortPropertyError',
+        parameter: 'sort',
+        value: 'password',
+        allowedValues: ['lastName'],
+        index: 0,
+      });
+    });
+
+    it('responds with problem details for id conflicts of an indexed page body', async () => {
+      const ctx = createContext('/people?indexed=true');
+      await paginationErrorHandler(ctx, () => paginate(ctx, () => {
+        ctx.body = new IndexablePage([content[0], content[0]], 2, ctx.state.pageable);
+      }));
+      expect(ctx.status).toEqual(500);
+      expect(ctx.response.get('Content-Type')).toEqual('application/problem+json');
+      expect(ctx.body).toMatchObject({ status: 500, code: 'IdConflictError', duplicateIds: [1] });
+    });
+
+    it('names the size parameter for page size errors', async () => {
+      const middleware = createPaginate({ maxSize: 10, maxSizeStrategy: MaxSizeStrategy.reject });
+      const ctx = await handle(middleware, '/people?size=11');
+      expect(ctx.body.code).toEqual('PageSizeExceededError');
+      expect(ctx.body.parameter).toEqual('size');
+      expect(ctx.body.value).toEqual(11);
+    });
+
+    it('names the cursor parameter for invalid cursors', async () => {
+      const ctx = await handle(createPaginate({ mode: PagingMode.cursor, defaultSort: 'id' }), '/people?before=abc');
+      expect(ctx.body.code).toEqual('InvalidCursorError');
+      expect(ctx.body.parameter).toEqual('before');
+      expect(ctx.body.value).toEqual('abc');
+    });
+
+    it('rethrows errors that are not KoaPageableErrors', async () => {
+      const ctx = createContext('/people');
+      const error = new Error('Database unavailable');
+      await expect(paginationErrorHandler(ctx, () => Promise.reject(error))).rejects.toBe(error);
+    });
+
+    it('uses the status of the error class', async () => {
+      class GoneError extends KoaPageableError {
+        static status = 410;
+      }
+      const ctx = createContext('/people');
+      await paginationErrorHandler(ctx, () => Promise.reject(new GoneError('Page expired')));
+      expect(ctx.status).toEqual(410);
+      expect(ctx.body.title).toEqual('Gone');
+    });
+
+    it('names InvalidSortError after its class', () => {
+      expect(new InvalidSortError('up').name).toEqual('InvalidSortError');
+    });
+  });
+
+  describe('collecting parameter errors', () => {
+    const next = () => {};
+    const middleware = createPaginate({ collectErrors: true, sortProperties: ['firstName', 'lastName'] });
+
+    it('throws a PaginationValidationError with one error per invalid parameter and sort segment', async () => {
+      const context = { query: { page: 'abc', size: '0', sort: 'lastName:up,firstName,password' }, state: {} };
+      let error;
+      try {
+        await middleware(context, next);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(PaginationValidationError);
+      expect(error.errors.map(it => [it.name, it.parameter, it.index])).toEqual([
+        ['NumberFormatError', 'page', undefined],
+        ['PageBoundsError', 'size', undefined],
+        ['InvalidSortError', 'sort', 0],
+        ['InvalidSortPropertyError', 'sort', 2],
+      ]);
+      expect(error.toProblemDetails()).toMatchSnapshot();
+      expect(context.state.pageable).toBeUndefined();
+    });
+
+    it('throws a PaginationValidationError for a single invalid parameter', async () => {
+      const context = { query: { size: 'ten' }, state: {} };
+      await expect(middleware(context, next)).rejects.toBeInstanceOf(PaginationValidationError);
+    });
+
+    it('includes cursor errors', async () => {
+      const cursorMiddleware = createPaginate({ collectErrors: true, mode: PagingMode.cursor, defaultSort: 'id' });
+      const context = { query: { size: '-1', after: 'abc' }, state: {} };
+      await expect(cursorMiddleware(context, next)).rejects.toMatchObject({
+        errors: [{ parameter: 'size' }, { parameter: 'after', value: 'abc' }],
+      });
+    });
+
+    it('does not add a cursor error for a sort with invalid orders', async () => {
+      const cursorMiddleware = createPaginate({ collectErrors: true, mode: PagingMode.cursor });
+      const context = { query: { sort: 'lastName:up', after: encodeCursor({ lastName: 'Bobbins' }) }, state: {} };
+      await expect(cursorMiddleware(context, next)).rejects.toMatchObject({
+        errors: [{ name: 'InvalidSortError', parameter: 'sort', value: 'up' }],
+      });
+    });
+
+    it('creates the pageable when all parameters are valid', async () => {
+      const context = { query: { page: '1', size: '5', sort: 'lastName' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable).toEqual(new Pageable(1, 5, false, 'lastName'));
+    });
+
+    it('throws only the first error when not enabled', async () => {
+      const context = { query: { page: 'abc', size: '0' }, state: {} };
+      await expect(paginate(context, next)).rejects.toBeInstanceOf(NumberFormatError);
+    });
+  });
+
+  describe('strict number parsing', () => {
+    const next = () => {};
+    const middleware = createPaginate({ strictNumbers: true });
+
+    ['3abc', '1e3', '2.9', '-1', '+1', '01', ' 1', '0x10', '9007199254740993'].forEach((value) => {
+      it(`rejects the page number '${value}'`, async () => {
+        const context = { query: { page: value }, state: {} };
+        await expect(middleware(context, next)).rejects.toMatchObject({
+          name: 'NumberFormatError',
+          parameter: 'page',
+          value,
+        });
+      });
+    });
+
+    it('rejects repeated parameters', async () => {
+      const context = { query: { size: ['1', '2'] }, state: {} };
+      await expect(middleware(context, next)).rejects.toMatchObject({ name: 'NumberFormatError', parameter: 'size' });
+    });
+
+    it('accepts canonical integers, including an explicit zero page', async () => {
+      const context = { query: { page: '0', size: '250' }, state: {} };
+      await middleware(context, next);
+      expect(context.state.pageable).toEqual(new Pageable(0, 250));
+    });
+
+    it('treats an explicit zero size as invalid rather than missing', async () => {
+      const context = { query: { size: '0' }, state: {} };
+      await expect(middleware(context, next)).rejects.toBeInstanceOf(PageBoundsError);
+    });
+
+    it('uses the leading integer of the value when not enabled', async () => {
+      const context = { query: { page: '3abc', size: '1e3' }, state: {} };
+      await paginate(context, next);
+      expect(context.state.pageable).toEqual(new Pageable(3, 1));
+    });
+  });
+
+  describe('sort direction parsing', () => {
+    const next = () => {};
+    const sortOf = async (middleware, sort) => {
+      const context = { query: { sort }, state: {} };
+      await middleware(context, next);
+      return context.state.pageable.sort;
+    };
+
+    it('accepts "asc" and "desc" regardless of case by default', async () => {
+      expect(await sortOf(paginate, 'lastName:DESC,firstName:Asc')).toEqual(new Sort([
+        new Order('lastName', Direction.desc),
+        new Order('firstName', Direction.asc),
+      ]));
+    });
+
+    ['ascending', '1', '-1'].forEach((direction) => {
+      it(`rejects "${direction}" by default`, async () => {
+        await expect(sortOf(paginate, `lastName:${direction}`)).rejects.toBeInstanceOf(InvalidSortError);
+      });
+    });
+
+    [
+      ['ASCENDING', Direction.asc],
+      ['Descending', Direction.desc],
+      ['1', Direction.asc],
+      ['-1', Direction.desc],
+    ].forEach(([direction, expected]) => {
+      it(`accepts "${direction}" with the DirectionAliases`, async () => {
+        const middleware = createPaginate({ sortDirections: DirectionAliases });
+        expect(await sortOf(middleware, `lastName:${direction}`)).toEqual(new Sort([new Order('lastName', expected)]));
+      });
+    });
+
+    it('lists the configured directions in InvalidSortError', async () => {
+      const middleware = createPaginate({ sortDirections: { up: Direction.asc, down: Direction.desc } });
+      await expect(sortOf(middleware, 'lastName:asc')).rejects.toMatchObject({
+        message: 'Invalid Sort Direction, must be one of "up" or "down"',
+        allowedValues: ['up', 'down'],
+      });
+    });
+
+    it('lists a single configured direction in InvalidSortError', async () => {
+      const middleware = createPaginate({ sortDirections: { up: Direction.asc } });
+      await expect(sortOf(middleware, 'lastName:down')).rejects.toMatchObject({
+        message: 'Invalid Sort Direction, must be one of "up"',
+        allowedValues: ['up'],
+      });
+    });
+
+    it('sorts properties with a leading "-" in descending order when enabled', async () => {
+      const middleware = createPaginate({ sortDescendingPrefix: true, sortProperties: ['firstName', 'lastName'] });
+      expect(await sortOf(middleware, '-lastName,firstName')).toEqual(new Sort([
+        new Order('lastName', Direction.desc),
+        new Order('firstName', Direction.asc),
+      ]));
+    });
+
+    it('rejects a property with a leading "-" that also specifies a direction', async () => {
+      const middleware = createPaginate({ sortDescendingPrefix: true });
+      await expect(sortOf(middleware, '-lastName:asc')).rejects.toBeInstanceOf(InvalidSortError);
+    });
+
+    it('treats a leading "-" as part of the property when not enabled', async () => {
+      expect(await sortOf(paginate, '-lastName')).toEqual(new Sort([new Order('-lastName')]));
+    });
+  });
+
+  describe('null handling', () => {
+    const people = nullableContent;
+    const sortOf = async (middleware, sort) => {
+      const context = { query: { sort }, state: {} };
+      await middleware(context, () => {});
+      return context.state.pageable.sort;
+    };
+
+    it('parses null handling flags following the property or direction, regardless of case', async () => {
+      expect(await sortOf(paginate, 'lastName:desc:nullslast,firstName:NullsFirst:asc,id')).toEqual(new Sort([
+        new Order('lastName', Direction.desc, NullHandling.nullsLast),
+        new Order('firstName', Direction.asc, NullHandling.nullsFirst),
+        new Order('id', Direction.asc),
+      ]));
+    });
+
+    [
+      'lastName:nullslast:nullsfirst',
+      'lastName:asc:desc',
+      'lastName:desc:nullsmiddle',
+      'lastName:constructor',
+      'lastName:__proto__',
+      'lastName:desc:hasOwnProperty',
+    ].forEach((sort) => {
+      it(`rejects "${sort}"`, async () => {
+        await expect(sortOf(paginate, sort)).rejects.toBeInstanceOf(InvalidSortError);
+      });
+    });
+
+    it('lists the directions and flags in InvalidSortError for a repeated flag', async () => {
+      await expect(sortOf(paginate, 'lastName:nullslast:NullsLast')).rejects.toMatchObject({
+        message: 'Invalid Sort Direction or flag, must be one of "asc", "desc", "nullsfirst", "nullslast" or "ignorecase",'
+          + ' with at most one direction, null handling and ignorecase per order',
+        value: 'NullsLast',
+        allowedValues: ['asc', 'desc', 'nullsfirst', 'nullslast', 'ignorecase'],
+      });
+    });
+
+    it('accepts a null handling flag on a property with a leading "-"', async () => {
+      const middleware = createPaginate({ sortDescendingPrefix: true });
+      expect(await sortOf(middleware, '-lastName:nullsfirst')).toEqual(new Sort([
+        new Order('lastName', Direction.desc, NullHandling.nullsFirst),
+      ]));
+    });
+
+    it('serializes the null handling of an order only when specified', () => {
+      const sort = new Sort([new Order('lastName', Direction.desc, NullHandling.nullsLast), new Order('id')]);
+      expect(JSON.parse(JSON.stringify(sort))).toEqual([
+        { property: 'lastName', direction: 'desc', nullHandling: 'nullsLast' },
+        { property: 'id', direction: 'asc' },
+      ]);
+      expect(new Order('id', Direction.asc, NullHandling.native)).not.toHaveProperty('nullHandling');
+    });
+
+    it('provides the null handling to forEach', () => {
+      const iteratee = jest.fn();
+      new Sort([new Order('lastName', Direction.desc, NullHandling.nullsFirst), new Order('id')]).forEach(iteratee);
+      expect(iteratee.mock.calls).toEqual([
+        ['lastName', Direction.desc, NullHandling.nullsFirst, false],
+        ['id', Direction.asc, undefined, false],
+      ]);
+    });
+
+    it('includes the null handling in the sort of the Link header', async () => {
+      const ctx = createContext('/people?sort=lastName:desc:nullslast');
+      await createPaginate({ linkHeader: true })(ctx, () => {
+        ctx.body = new ArrayPage(people, 3, new Pageable(0, 1, false, ctx.state.pageable.sort));
+      });
+      expect(ctx.response.get('Link')).toContain('sort=lastName%3Adesc%3Anullslast');
+    });
+
+    nullHandlingOrders.forEach(([nullHandling, direction, expected]) => {
+      it(`orders an array by ${direction} ${nullHandling} in Page.fromArray`, () => {
+        const sort = new Sort([new Order('lastName', direction, nullHandling)]);
+        const page = Page.fromArray(people, new Pageable(0, 3, false, sort));
+        expect(page.content.map(it => it.id)).toEqual(expected);
+      });
+    });
+  });
+
+  describe('case-insensitive sorting', () => {
+    const people = mixedCaseContent;
+    const sortOf = async (middleware, sort) => {
+      const context = { query: { sort }, state: {} };
+      await middleware(context, () => {});
+      return context.state.pageable.sort;
+    };
+
+    it('parses the ignorecase flag in any position, regardless of case', async () => {
+      expect(await sortOf(paginate, 'lastName:IgnoreCase:desc,firstName:nullslast:ignorecase,id')).toEqual(new Sort([
+        new Order('lastName', Direction.desc, null, true),
+        new Order('firstName', Direction.asc, NullHandling.nullsLast, true),
+        new Order('id'),
+      ]));
+    });
+
+    it('rejects a repeated ignorecase flag', async () => {
+      await expect(sortOf(paginate, 'lastName:ignorecase:ignorecase')).rejects.toBeInstanceOf(InvalidSortError);
+    });
+
+    it('serializes ignoreCase only when set and provides it to forEach', () => {
+      const sort = new Sort([new Order('lastName', Direction.desc, null, true), new Order('id')]);
+      expect(JSON.parse(JSON.stringify(sort))).toEqual([
+        { property: 'lastName', direction: 'desc', ignoreCase: true },
+        { property: 'id', direction: 'asc' },
+      ]);
+      const iteratee = jest.fn();
+      sort.forEach(iteratee);
+      expect(iteratee.mock.calls.map(it => it[3])).toEqual([true, false]);
+    });
+
+    it('includes the ignorecase flag in the sort of the Link header', async () => {
+      const ctx = createContext('/people?sort=lastName:nullsfirst:ignorecase');
+      await createPaginate({ linkHeader: true })(ctx, () => {
+        ctx.body = new ArrayPage(people, 3, new Pageable(0, 1, false, ctx.state.pageable.sort));
+      });
+      expect(ctx.response.get('Link')).toContain('sort=lastName%3Aasc%3Anullsfirst%3Aignorecase');
+    });
+
+    ignoreCaseOrders.forEach(([direction, expected]) => {
+      it(`orders an array ${direction} ignoring case in Page.fromArray`, () => {
+        const sort = new Sort([new Order('lastName', direction, null, true)]);
+        expect(Page.fromArray(people, new Pageable(0, 3, false, sort)).content.map(it => it.id)).toEqual(expected);
+      });
+    });
+
+    it('is compared case-sensitively without the flag', () => {
+      const page = Page.fromArray(people, new Pageable(0, 3, false, 'lastName'));
+      expect(page.content.map(it => it.id)).toEqual([3, 1, 2]);
+    });
+  });
+
+  describe('iteratePages and iterateItems functions', () => {
+    const people = Array.from({ length: 9 }, (value, index) => ({ id: index + 1 }));
+    const fetchPeople = jest.fn(pageable => Promise.resolve(Page.fromArray(people, pageable)));
+    const collect = async (iterable, values = [], iterator = iterable[Symbol.asyncIterator]()) => {
+      const result = await iterator.next();
+      return result.done ? values : collect(iterable, values.concat([result.value]), iterator);
+    };
+
+    beforeEach(() => fetchPeople.mockClear());
+
+    it('iteratePages() yields every page, until the last page', async () => {
+      const pages = await collect(iteratePages(fetchPeople, new Pageable(0, 4, false, 'id:desc')));
+      expect(pages.map(it => it.content.map(person => person.id))).toEqual([[9, 8, 7, 6], [5, 4, 3, 2], [1]]);
+      expect(fetchPeople.mock.calls.map(([it]) => it)).toEqual([
+        new Pageable(0, 4, false, 'id:desc'),
+        new Pageable(1, 4, false, 'id:desc'),
+        new Pageable(2, 4, false, 'id:desc'),
+      ]);
+    });
+
+    it('iteratePages() starts at the initial pageable, defaulting to the first page', async () => {
+      expect((await collect(iteratePages(fetchPeople, new Pageable(1, 5)))).map(it => it.number)).toEqual([1]);
+      expect((await collect(iteratePages(fetchPeople))).map(it => it.size)).toEqual([20]);
+    });
+
+    it('iteratePages() yields a single page for an empty data source', async () => {
+      const pages = await collect(iteratePages(() => Promise.resolve(new ArrayPage([], 0, new Pageable()))));
+      expect(pages).toHaveLength(1);
+    });
+
+    it('iteratePages() prefetches up to the concurrency of the pages after the first page, in order', async () => {
+      const requested = [];
+      const resolvers = {};
+      const fetchPage = (pageable) => {
+        requested.push(pageable.page);
+        return new Promise((resolve) => {
+          resolvers[pageable.page] = () => resolve(Page.fromArray(people, pageable));
+        });
+      };
+      const iterator = iteratePages(fetchPage, new Pageable(0, 2), { concurrency: 3 })[Symbol.asyncIterator]();
+
+      const first = iterator.next();
+      expect(requested).toEqual([0]);
+      resolvers[0]();
+      expect((await first).value.number).toEqual(0);
+
+      const second = iterator.next();
+      expect(requested).toEqual([0, 1, 2, 3]);
+      resolvers[2]();
+      resolvers[1]();
+      expect((await second).value.number).toEqual(1);
+
+      const third = iterator.next();
+      expect(requested).toEqual([0, 1, 2, 3, 4]);
+      expect((await third).value.number).toEqual(2);
+
+      resolvers[3]();
+      resolvers[4]();
+      expect((await iterator.next()).value.number).toEqual(3);
+      expect((await iterator.next()).value.last).toEqual(true);
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+      expect(requested).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    it('iteratePages() rejects with the error of a fetch and then stops', async () => {
+      const error = new Error('connection lost');
+      const fetchPage = pageable => ((pageable.page === 1) ? Promise.reject(error) : fetchPeople(pageable));
+      const iterator = iteratePages(fetchPage, new Pageable(0, 2), { concurrency: 2 })[Symbol.asyncIterator]();
+      await iterator.next();
+      await expect(iterator.next()).rejects.toBe(error);
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+    });
+
+    it('iteratePages() does not leave a rejected prefetched page unhandled while a page is processed', async () => {
+      const error = new Error('connection lost');
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      try {
+        const fetchPage = pageable => ((pageable.page === 2) ? Promise.reject(error) : fetchPeople(pageable));
+        const iterator = iteratePages(fetchPage, new Pageable(0, 2), { concurrency: 3 })[Symbol.asyncIterator]();
+        expect((await iterator.next()).value.number).toEqual(0);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect((await iterator.next()).value.number).toEqual(1);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await expect(iterator.next()).rejects.toBe(error);
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.removeListener('unhandledRejection', unhandled);
+      }
+    });
+
+    it('iteratePages() stops fetching when the iteration is stopped early', async () => {
+      const iterator = iteratePages(fetchPeople, new Pageable(0, 2))[Symbol.asyncIterator]();
+      await iterator.next();
+      expect(await iterator.return()).toEqual({ done: true, value: undefined });
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+      expect(fetchPeople).toHaveBeenCalledTimes(1);
+    });
+
+    it('iterateItems() yields every item of every page, in order', async () => {
+      const items = await collect(iterateItems(fetchPeople, new Pageable(0, 2, false, 'id:desc'), { concurrency: 2 }));
+      expect(items.map(it => it.id)).toEqual([9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    it('iterateItems() yields the items of indexed pages in the order of their ids', async () => {
+      const fetchPage = pageable => fetchPeople(pageable).then(page => page.toJSON());
+      const items = await collect(iterateItems(fetchPage, new Pageable(0, 5, true, 'id:desc')));
+      expect(items.map(it => it.id)).toEqual([9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    });
+
+    it('iterateItems() skips empty pages', async () => {
+      const fetchPage = pageable =>
+        Promise.resolve(new ArrayPage((pageable.page === 1) ? [] : [pageable.page], 9, pageable));
+      expect(await collect(iterateItems(fetchPage, new Pageable(0, 3)))).toEqual([0, 2]);
+    });
+  });
+
+  describe('JSON:API profile', () => {
+    const jsonApiPaginate = createPaginate(JsonApiPaginateOptions);
+    const request = async (middleware, url, body) => {
+      const ctx = createContext(url);
+      await middleware(ctx, () => {
+        if (body) {
+          ctx.body = body(ctx.state.pageable);
+        }
+      });
+      return ctx;
+    };
+
+    it('parses the page[number], page[size] and sort parameters', async () => {
+      const ctx = await request(jsonApiPaginate, '/people?page[number]=2&page[size]=5&sort=-lastName,firstName');
+      expect(ctx.state.pageable).toEqual(new Pageable(2, 5, false, new Sort([
+        new Order('lastName', Direction.desc),
+        new Order('firstName', Direction.asc),
+      ])));
+    });
+
+    ['-', '-:nullslast', 'id,-'].forEach((sort) => {
+      it(`rejects the empty property of "sort=${sort}"`, async () => {
+        await expect(request(jsonApiPaginate, `/people?sort=${sort}`)).rejects.toMatchObject({
+          name: 'InvalidSortPropertyError',
+          message: 'Invalid Sort Property ""',
+          value: '',
+          allowedValues: [],
+        });
+      });
+    });
+
+    it('parses the page[after] cursor in cursor mode', async () => {
+      const cursor = encodeCursor({ id: 3 });
+      const middleware = createPaginate({ ...JsonApiPaginateOptions, mode: PagingMode.cursor });
+      const ctx = await request(middleware, `/people?page[size]=2&sort=id&page[after]=${cursor}`);
+      expect(ctx.state.pageable.after).toEqual(cursor);
+      expect(ctx.state.pageable.cursorValues).toEqual({ id: 3 });
+    });
+
+    it('writes the Link header with the JSON:API parameters and sort format', async () => {
+      const middleware = createPaginate({ ...JsonApiPaginateOptions, linkHeader: true });
+      const ctx = await request(
+        middleware, '/people?page[number]=1&page[size]=1&sort=-lastName:nullslast,id',
+        pageable => Page.fromArray(content, pageable),
+      );
+      const query = 'page%5Bsize%5D=1&sort=-lastName%3Anullslast%2Cid';
+      expect(ctx.response.get('Link')).toEqual([
+        `<http://localhost/people?page%5Bnumber%5D=0&${query}>; rel="first"`,
+        `<http://localhost/people?page%5Bnumber%5D=0&${query}>; rel="prev"`,
+        `<http://localhost/people?page%5Bnumber%5D=2&${query}>; rel="next"`,
+        `<http://localhost/people?page%5Bnumber%5D=3&${query}>; rel="last"`,
+      ].join(', '));
+    });
+
+    it('toJsonApi() renders a page as data, meta and links', async () => {
+      const ctx = await request(jsonApiPaginate, '/people?page[number]=1&page[size]=2&sort=-id');
+      const document = toJsonApi(Page.fromArray(content, ctx.state.pageable), ctx);
+      expect(document).toEqual({
+        data: [content[1], content[0]],
+        meta: { totalElements: 4, totalPages: 2 },
+        links: {
+          first: 'http://localhost/people?page%5Bnumber%5D=0&page%5Bsize%5D=2&sort=-id',
+          prev: 'http://localhost/people?page%5Bnumber%5D=0&page%5Bsize%5D=2&sort=-id',
+          next: null,
+          last: 'http://localhost/people?page%5Bnumber%5D=1&page%5Bsize%5D=2&sort=-id',
+        },
+      });
+    });
+
+    it('toJsonApi() renders the content of an indexed page in the order of its ids', async () => {
+      const ctx = await request(jsonApiPaginate, '/people?page[size]=3&sort=-id');
+      const page = Page.fromArray(content, new Pageable(0, 3, true, ctx.state.pageable.sort)).toJSON();
+      const document = toJsonApi(page, ctx);
+      expect(document.data.map(it => it.id)).toEqual([4, 3, 2]);
+      expect(document.links.prev).toBeNull();
+    });
+
+    it('toJsonApi() names the link parameters after the options of the middleware', async () => {
+      const ctx = await request(paginate, '/people?page=0&size=2&sort=id:desc');
+      const document = toJsonApi(Page.fromArray(content, ctx.state.pageable), ctx, {});
+      expect(document.links.next).toEqual('http://localhost/people?page=1&size=2&sort=id%3Adesc');
+    });
+  });
+
+  describe('toHal function', () => {
+    const request = async (middleware, url) => {
+      const ctx = createContext(url);
+      await middleware(ctx, () => {});
+      return ctx;
+    };
+
+    it('renders a page as _embedded content, _links and page information', async () => {
+      const ctx = await request(paginate, '/people?page=1&size=1&sort=id');
+      expect(toHal(Page.fromArray(content, ctx.state.pageable), ctx)).toEqual({
+        _embedded: { content: [content[1]] },
+        _links: {
+          self: { href: 'http://localhost/people?page=1&size=1&sort=id' },
+          first: { href: 'http://localhost/people?page=0&size=1&sort=id%3Aasc' },
+          prev: { href: 'http://localhost/people?page=0&size=1&sort=id%3Aasc' },
+          next: { href: 'http://localhost/people?page=2&size=1&sort=id%3Aasc' },
+          last: { href: 'http://localhost/people?page=3&size=1&sort=id%3Aasc' },
+        },
+        page: {
+          size: 1,
+          totalElements: 4,
+          totalPages: 4,
+          number: 1,
+        },
+      });
+    });
+
+    it('embeds the content as the specified relation, omitting prev and next when there are no such pages', async () => {
+      const ctx = await request(paginate, '/people?size=10');
+      const hal = toHal(Page.fromArray(content, ctx.state.pageable), ctx, 'people');
+      expect(Object.keys(hal._embedded)).toEqual(['people']);
+      expect(hal._embedded.people).toEqual(content);
+      expect(Object.keys(hal._links)).toEqual(['self', 'first', 'last']);
+    });
+
+    it('renders IndexablePage and IndexedPage content in order', async () => {
+      const ctx = await request(paginate, '/people?indexed=true&sort=id:desc');
+      const page = Page.fromArray(content, ctx.state.pageable);
+      expect(page).toBeInstanceOf(IndexablePage);
+      expect(toHal(page, ctx)._embedded.content.map(it => it.id)).toEqual([4, 3, 2, 1]);
+      expect(toHal(page.toJSON(), ctx)._embedded.content.map(it => it.id)).toEqual([4, 3, 2, 1]);
+    });
+
+    it('names the link parameters after the options of the middleware', async () => {
+      const options = { pageParam: 'p', sizeParam: 'limit' };
+      const ctx = await request(createPaginate(options), '/people?p=0&limit=2');
+      const hal = toHal(Page.fromArray(content, ctx.state.pageable), ctx, 'people', options);
+      expect(hal._links.next).toEqual({ href: 'http://localhost/people?p=1&limit=2' });
+    });
+  });
+
+  describe('content negotiation', () => {
+    const request = async (url, accept, options = {}) => {
+      const ctx = createContext(url, accept ? { accept } : {});
+      await createPaginate({ negotiate: true, ...options })(ctx, () => {
+        ctx.body = Page.fromArray(content, ctx.state.pageable);
+      });
+      return ctx;
+    };
+
+    [undefined, '*/*', 'application/json', 'application/*'].forEach((accept) => {
+      it(`leaves the page as is for "${accept}"`, async () => {
+        const ctx = await request('/people?size=2&indexed=true', accept);
+        expect(ctx.body).toBeInstanceOf(IndexablePage);
+        expect(ctx.body.indexed).toEqual(true);
+        expect(ctx.response.get('Vary')).toEqual('Accept');
+      });
+    });
+
+    it('renders the indexed format of an IndexablePage for the indexed=true media type parameter', async () => {
+      const ctx = createContext('/people?size=2&sort=id', { accept: 'application/json; indexed="true"' });
+      await createPaginate({ negotiate: true })(ctx, () => {
+        ctx.body = new IndexablePage(content.slice(0, 2), 4, ctx.state.pageable);
+      });
+      expect(JSON.parse(JSON.stringify(ctx.body))).toMatchObject({ ids: [1, 2], index: { 1: content[0] } });
+      expect(ctx.type).toEqual('application/json');
+    });
+
+    it('does not offer the indexed format for pages whose items may not have ids', async () => {
+      const error = await request('/people?size=2', 'application/json; indexed=true').catch(e => e);
+      expect(error).toBeInstanceOf(NotAcceptableError);
+      expect(error.allowedValues).not.toContain(PageMediaTypes.indexedJson);
+      const ctx = await request('/people?size=2', 'application/json; indexed=true, application/json; q=0.5');
+      expect(ctx.body).toBeInstanceOf(ArrayPage);
+    });
+
+    it('renders the array format for the indexed=false media type parameter', async () => {
+      const ctx = await request('/people?size=2&sort=id&indexed=true', 'application/json;indexed=false');
+      expect(JSON.parse(JSON.stringify(ctx.body)).content).toEqual(content.slice(0, 2));
+    });
+
+    it('renders HAL for application/hal+json, embedding the content as halRel', async () => {
+      const ctx = await request('/people?size=2', 'application/hal+json', { halRel: 'people' });
+      expect(ctx.body._embedded.people).toEqual(content.slice(0, 2));
+      expect(ctx.body.page).toEqual({
+        size: 2,
+        totalElements: 4,
+        totalPages: 2,
+        number: 0,
+      });
+      expect(ctx.response.get('Content-Type')).toEqual('application/hal+json');
+    });
+
+    it('renders JSON:API for application/vnd.api+json, with links using the parameters of the middleware', async () => {
+      const ctx = await request('/people?page[number]=0&page[size]=3', 'application/vnd.api+json', JsonApiPaginateOptions);
+      expect(ctx.body.meta).toEqual({ totalElements: 4, totalPages: 2 });
+      expect(ctx.body.links.next).toEqual('http://localhost/people?page%5Bnumber%5D=1&page%5Bsize%5D=3');
+      expect(ctx.response.get('Content-Type')).toEqual('application/vnd.api+json');
+    });
+
+    it('chooses the representation with the highest quality', async () => {
+      const ctx = await request('/people', 'application/json;q=0.5, application/hal+json;q=0.8, text/html');
+      expect(ctx.body).toHaveProperty('_embedded');
+    });
+
+    it('throws a NotAcceptableError when no representation is acceptable', async () => {
+      const error = await request('/people', 'text/html, application/json;q=0').catch(e => e);
+      expect(error).toBeInstanceOf(NotAcceptableError);
+      expect(error).toBeInstanceOf(KoaPageableError);
+      expect(error.status).toEqual(406);
+      expect(error.toProblemDetails()).toMatchSnapshot();
+    });
+
+    describe('with id conflicts', () => {
+      const negotiate = async (url, accept) => {
+        const ctx = createContext(url, { accept });
+        await paginationErrorHandler(ctx, () => createPaginate({ negotiate: true })(ctx, () => {
+          ctx.body = new IndexablePage([content[0], content[0]], 2, ctx.state.pageable);
+        }));
+        return ctx;
+      };
+
+      it('responds with problem details when the negotiated body is indexed', async () => {
+        const ctx = await negotiate('/people', 'application/json; indexed=true');
+        expect(ctx.status).toEqual(500);
+        expect(ctx.body).toMatchObject({ code: 'IdConflictError', duplicateIds: [1] });
+      });
+
+      ['application/json; indexed=false', 'application/hal+json', 'application/vnd.api+json'].forEach((accept) => {
+        it(`does not check the ids of a page requested with indexed=true for "${accept}"`, async () => {
+          const ctx = await negotiate('/people?indexed=true', accept);
+          expect(ctx.status).toEqual(200);
+          expect(ctx.body.indexed).toBeFalsy();
+        });
+      });
+    });
+
+    it('does not negotiate when disabled or for other response bodies', async () => {
+      const ctx = createContext('/people', { accept: 'text/html' });
+      await paginate(ctx, () => {
+        ctx.body = Page.fromArray(content, ctx.state.pageable);
+      });
+      expect(ctx.body).toBeInstanceOf(ArrayPage);
+      const other = createContext('/people', { accept: 'text/html' });
+      await createPaginate({ negotiate: true })(other, () => {
+        other.body = '<p>people</p>';
+      });
+      expect(other.body).toEqual('<p>people</p>');
+    });
+  });
 });
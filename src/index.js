@@ -1,14 +1,39 @@
 // @flow
 import type { Context } from 'koa';
+import http from 'http';
+import querystring from 'querystring';
 import flatMap from 'lodash.flatmap';
 import keyBy from 'lodash.keyby';
 import isEmpty from 'lodash.isempty';
 import mapValues from 'lodash.mapvalues';
 
+/**
+ * Machine-readable details of a {@link KoaPageableError}, describing which request parameter was rejected and why
+ */
+export type KoaPageableErrorDetails = {
+  /**
+   * Name of the query parameter that was rejected
+   */
+  parameter?: ?string,
+  /**
+   * The rejected value
+   */
+  value?: mixed,
+  /**
+   * The values that would have been accepted, if there is a fixed set of them
+   */
+  allowedValues?: ?$ReadOnlyArray<mixed>,
+  /**
+   * Position of the rejected value within a multi-valued parameter, e.g. the index of an invalid sort segment
+   */
+  index?: ?number,
+};
+
 /**
  * Base Class for error types thrown by Koa Paginate.
  *
  * @param message The human-readable message describing the error
+ * @param details Optional. {@link KoaPageableErrorDetails} describing the rejected parameter
  */
 export class KoaPageableError extends Error {
   /**
@@ -32,55 +57,327 @@ export class KoaPageableError extends Error {
    */
   name: string;
 
-  constructor(message: string) {
+  /**
+   * HTTP Status code to be returned, the `status` of the error's class
+   */
+  status: number;
+
+  /**
+   * Name of the query parameter that was rejected, if known
+   */
+  parameter: ?string;
+
+  /**
+   * The rejected value, if known
+   */
+  value: mixed;
+
+  /**
+   * The values that would have been accepted, if there is a fixed set of them
+   */
+  allowedValues: ?$ReadOnlyArray<mixed>;
+
+  /**
+   * Position of the rejected value within a multi-valued parameter, if applicable
+   */
+  index: ?number;
+
+  constructor(message: string, details: KoaPageableErrorDetails = {}) {
     super(message);
     this.name = 'KoaPageableError';
     this.message = message;
     this.stack = new Error().stack;
+    this.status = this.constructor.status;
+    this.parameter = details.parameter;
+    this.value = details.value;
+    this.allowedValues = details.allowedValues;
+    this.index = details.index;
+  }
+
+  /**
+   * Represents the error as an [RFC 7807](https://tools.ietf.org/html/rfc7807) problem details object. Besides the
+   * standard members, it contains the error `name` as `code`, and the `parameter`, `value`, `allowedValues` and
+   * `index` describing the rejected parameter (each omitted if unknown).
+   *
+   * @returns Problem details object, to be serialized as `application/problem+json`
+   */
+  toProblemDetails(): { [member: string]: mixed } {
+    const problem: { [member: string]: mixed } = {
+      type: 'about:blank',
+      title: http.STATUS_CODES[this.status],
+      status: this.status,
+      detail: this.message,
+      code: this.name,
+    };
+    if (this.parameter != null) {
+      problem.parameter = this.parameter;
+    }
+    if (this.value !== undefined) {
+      problem.value = this.value;
+    }
+    if (this.allowedValues) {
+      problem.allowedValues = this.allowedValues;
+    }
+    if (this.index != null) {
+      problem.index = this.index;
+    }
+    return problem;
   }
 }
 
 /**
  * Error type thrown when parsing Pagination parameters fails
  * @param message The human-readable message describing the error
+ * @param details Optional. {@link KoaPageableErrorDetails} describing the rejected parameter
  */
 export class NumberFormatError extends KoaPageableError {
   static status = 400;
 
-  constructor(message: string) {
-    super(message);
+  constructor(message: string, details?: KoaPageableErrorDetails) {
+    super(message, details);
     this.name = 'NumberFormatError';
     this.message = message;
     this.stack = new Error().stack;
   }
 }
 
+function formatAlternatives(values: Array<string>): string {
+  const quoted = values.map(it => `"${it}"`);
+  return quoted.length > 1
+    ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}`
+    : quoted.join('');
+}
+
 /**
- * Error type thrown when an invalid Sort Direction is provided on the request.
+ * Error type thrown when an invalid Sort Direction or flag is provided on the request.
+ * @param direction Optional. The requested direction or flag
+ * @param allowedDirections Optional. The accepted direction strings, defaults to "asc" and "desc"
+ * @param allowedFlags Optional. The accepted flags, given when a direction or flag was repeated
  */
 export class InvalidSortError extends KoaPageableError {
   static status = 400;
 
-  constructor() {
-    const msg = 'Invalid Sort Direction, must be one of "asc" or "desc"';
+  constructor(direction?: string, allowedDirections: Array<string> = ['asc', 'desc'], allowedFlags: Array<string> = []) {
+    const allowedValues = allowedDirections.concat(allowedFlags);
+    const msg = allowedFlags.length
+      ? `Invalid Sort Direction or flag, must be one of ${formatAlternatives(allowedValues)}, with at most one direction, null handling and ignorecase per order`
+      : `Invalid Sort Direction, must be one of ${formatAlternatives(allowedDirections)}`;
+    super(msg, { value: direction, allowedValues });
+    this.name = 'InvalidSortError';
+    this.message = msg;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown when a Sort is requested on a property that is not allowed to be sorted on, or on an empty property.
+ * @param property The requested property
+ * @param allowedProperties The properties that may be sorted on, empty if any (non-empty) property may be
+ */
+export class InvalidSortPropertyError extends KoaPageableError {
+  static status = 400;
+
+  constructor(property: string, allowedProperties: Array<string>) {
+    const alternatives = allowedProperties.length
+      ? `, must be one of ${allowedProperties.map(it => `"${it}"`).join(', ')}`
+      : '';
+    const msg = `Invalid Sort Property "${property}"${alternatives}`;
+    super(msg, { value: property, allowedValues: allowedProperties });
+    this.name = 'InvalidSortPropertyError';
+    this.message = msg;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown when a requested page number or page size is below its minimum value
+ * @param message The human-readable message describing the error
+ * @param value The requested page number or page size
+ */
+export class PageBoundsError extends KoaPageableError {
+  static status = 400;
+
+  constructor(message: string, value: number) {
+    super(message, { value });
+    this.name = 'PageBoundsError';
+    this.message = message;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown when a requested page size is larger than the configured maximum and the
+ * {@link MaxSizeStrategy.reject} strategy is in use
+ * @param size The requested page size
+ * @param maxSize The maximum allowed page size
+ */
+export class PageSizeExceededError extends KoaPageableError {
+  static status = 400;
+
+  constructor(size: number, maxSize: number) {
+    const msg = `Requested page size ${size} exceeds the maximum page size of ${maxSize}`;
+    super(msg, { value: size });
+    this.name = 'PageSizeExceededError';
+    this.message = msg;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown when a pagination cursor cannot be decoded or does not match the requested sort
+ * @param message The human-readable message describing the error
+ * @param cursor Optional. The rejected cursor
+ */
+export class InvalidCursorError extends KoaPageableError {
+  static status = 400;
+
+  constructor(message: string, cursor?: string) {
+    super(message, { value: cursor });
+    this.name = 'InvalidCursorError';
+    this.message = message;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown by the middleware when it negotiates the representation of a page and none of the representations
+ * it supports is acceptable according to the request's `Accept` header
+ * @param accept The `Accept` header of the request
+ * @param supportedTypes The media types of the supported representations
+ */
+export class NotAcceptableError extends KoaPageableError {
+  static status = 406;
+
+  constructor(accept: string, supportedTypes: $ReadOnlyArray<string>) {
+    const msg = `Not Acceptable "${accept}", must accept one of ${supportedTypes.map(it => `"${it}"`).join(', ')}`;
+    super(msg, { value: accept, allowedValues: supportedTypes });
+    this.name = 'NotAcceptableError';
+    this.message = msg;
+    this.stack = new Error().stack;
+  }
+}
+
+/**
+ * Error type thrown when the content of an {@link IndexablePage} is indexed and some of its ids are duplicated or
+ * missing (`null` or `undefined`), with the {@link IdConflictPolicy.error} policy
+ * @param duplicateIds The ids shared by more than one content item
+ * @param missingIdIndexes The positions of the content items without an id
+ */
+export class IdConflictError extends KoaPageableError {
+  static status = 500;
+
+  /**
+   * The ids shared by more than one content item
+   */
+  duplicateIds: Array<mixed>;
+
+  /**
+   * The positions (within the page content) of the content items without an id
+   */
+  missingIdIndexes: Array<number>;
+
+  constructor(duplicateIds: Array<mixed>, missingIdIndexes: Array<number>) {
+    const problems = [];
+    if (duplicateIds.length > 0) {
+      problems.push(`duplicate ids ${duplicateIds.map(it => `"${String(it)}"`).join(', ')}`);
+    }
+    if (missingIdIndexes.length > 0) {
+      problems.push(`missing ids at indexes ${missingIdIndexes.join(', ')}`);
+    }
+    const msg = `Content cannot be indexed, ${problems.join(' and ')}`;
+    super(msg);
+    this.name = 'IdConflictError';
+    this.message = msg;
+    this.stack = new Error().stack;
+    this.duplicateIds = duplicateIds;
+    this.missingIdIndexes = missingIdIndexes;
+  }
+
+  /**
+   * Represents the error as an [RFC 7807](https://tools.ietf.org/html/rfc7807) problem details object, including the
+   * `duplicateIds` and `missingIdIndexes`
+   *
+   * @returns Problem details object, to be serialized as `application/problem+json`
+   */
+  toProblemDetails(): { [member: string]: mixed } {
+    const problem = super.toProblemDetails();
+    problem.duplicateIds = this.duplicateIds;
+    problem.missingIdIndexes = this.missingIdIndexes;
+    return problem;
+  }
+}
+
+/**
+ * Error type thrown by the middleware when it is configured to collect all errors of the pagination parameters,
+ * rather than throw the first one. Contains one error per rejected parameter, or per rejected segment of the sort.
+ * @param errors The errors of the individual parameters
+ */
+export class PaginationValidationError extends KoaPageableError {
+  static status = 400;
+
+  /**
+   * The errors of the individual parameters
+   */
+  errors: Array<KoaPageableError>;
+
+  constructor(errors: Array<KoaPageableError>) {
+    const msg = `Invalid pagination parameters: ${errors.map(it => it.message).join('; ')}`;
     super(msg);
-    this.name = 'InvalidDirectionError';
+    this.name = 'PaginationValidationError';
     this.message = msg;
     this.stack = new Error().stack;
+    this.errors = errors;
+  }
+
+  /**
+   * Represents the error as an [RFC 7807](https://tools.ietf.org/html/rfc7807) problem details object, with the
+   * problem details of each individual error in `errors`
+   *
+   * @returns Problem details object, to be serialized as `application/problem+json`
+   */
+  toProblemDetails(): { [member: string]: mixed } {
+    const problem = super.toProblemDetails();
+    problem.errors = this.errors.map((error) => {
+      // type, title and status are shared with the aggregate problem
+      const details = error.toProblemDetails();
+      delete details.type;
+      delete details.title;
+      delete details.status;
+      return details;
+    });
+    return problem;
   }
 }
 
+/**
+ * Matches the canonical representation of a non-negative integer, i.e. digits without sign or leading zeros
+ */
+const CANONICAL_INTEGER = /^(0|[1-9][0-9]*)$/;
+
 /**
  * Converts the input into a number it it's a valid numeric string, otherwise it throws a NumberFormatError
  *
  * @param input Input to convert to number
+ * @param strict If true, only a single canonical non-negative integer string (e.g. not `3abc`, `1e3`, `2.9` or
+ *   `01`) is accepted, else the leading integer of the input is used
  * @returns Numeric value of string
  */
-function parseIntOrThrow(input: string): number {
+function parseIntOrThrow(input: string | Array<string>, strict: boolean = false): number {
+  if (strict) {
+    if (Array.isArray(input)) {
+      throw new NumberFormatError(`Expected a single value but received ${input.length}`, { value: input });
+    }
+    const result = Number(input);
+    if (!CANONICAL_INTEGER.test(String(input)) || !Number.isSafeInteger(result)) {
+      throw new NumberFormatError(`Could not convert '${input}' to a non-negative integer`, { value: input });
+    }
+    return result;
+  }
+
   const result = parseInt(input, 10);
 
   if (typeof result !== 'number' || Number.isNaN(result)) {
-    throw new NumberFormatError(`Could not convert '${input}' to number`);
+    throw new NumberFormatError(`Could not convert '${String(input)}' to number`, { value: input });
   }
   return result;
 }
@@ -90,13 +387,14 @@ function parseIntOrThrow(input: string): number {
  * specified, returns null
  *
  * @param input Input to convert to number
+ * @param strict If true, only a single canonical non-negative integer string is accepted
  * @returns Null or numeric value of string
  */
-function parseOptionalIntOrThrow(input: ?string): ?number {
+function parseOptionalIntOrThrow(input: ?string | ?Array<string>, strict: boolean = false): ?number {
   if (!input) {
     return null;
   }
-  return parseIntOrThrow(input);
+  return parseIntOrThrow(input, strict);
 }
 
 /**
@@ -114,19 +412,53 @@ export const Direction = {
  */
 export type DirectionType = $Keys<typeof Direction>;
 
+/**
+ * Enumeration of the ways `null` values can be ordered
+ * @type {{native: string, nullsFirst: string, nullsLast: string}}
+ * @enum {string}
+ */
+export const NullHandling = {
+  /**
+   * Leave the ordering of `null` values up to the data store
+   */
+  native: 'native',
+  /**
+   * Order `null` values before all other values
+   */
+  nullsFirst: 'nullsFirst',
+  /**
+   * Order `null` values after all other values
+   */
+  nullsLast: 'nullsLast',
+};
+
+/**
+ * Flow type for {@link NullHandling} enum
+ */
+export type NullHandlingType = $Keys<typeof NullHandling>;
+
 /**
  * Pairing of a property and a {@link Direction}. Represents a single property that should be ordered as part of a
- * {@link Sort}
+ * {@link Sort}. An Order is frozen, so it can be shared between Sorts.
  * @param property The property to be ordered
  * @param direction The direction of the ordering, defaults to {@link Direction.asc}
+ * @param nullHandling Optional. How `null` values should be ordered, if not specified it is left up to the data store
+ * @param ignoreCase Whether string values should be compared case-insensitively, defaults to false
  */
 export class Order {
   direction: DirectionType;
   property: string;
+  nullHandling: ?NullHandlingType;
+  ignoreCase: ?boolean;
 
   static _DEFAULT_DIRECTION = Direction.asc;
 
-  constructor(property: string, direction: DirectionType = Order._DEFAULT_DIRECTION) {
+  constructor(
+    property: string,
+    direction: DirectionType = Order._DEFAULT_DIRECTION,
+    nullHandling?: ?NullHandlingType,
+    ignoreCase?: boolean = false,
+  ) {
     this.direction = Order._DEFAULT_DIRECTION;
 
     // only set it to desc if it's an exact match, else default
@@ -135,80 +467,239 @@ export class Order {
     }
 
     this.property = property;
+
+    // only set when specified, so it is omitted from the serialized Order
+    if (nullHandling && nullHandling !== NullHandling.native) {
+      this.nullHandling = nullHandling;
+    }
+    if (ignoreCase) {
+      this.ignoreCase = true;
+    }
+    Object.freeze(this);
   }
 }
 
+/**
+ * Commonly used alternative spellings of the sort directions, for use as the `directions` of {@link SortOptions}.
+ * Contains `asc`, `desc`, `ascending`, `descending`, `1` and `-1`.
+ * @type {Object<string, DirectionType>}
+ */
+export const DirectionAliases: { [alias: string]: DirectionType } = {
+  asc: Direction.asc,
+  desc: Direction.desc,
+  ascending: Direction.asc,
+  descending: Direction.desc,
+  // $FlowFixMe - ignore until flow has support for number literal keys.
+  1: Direction.asc,
+  '-1': Direction.desc,
+};
+
 /**
  * Function that converts between a string and a {@link Direction}
  * @param dir The string to convert into a typed {@link Direction}
- * @returns {DirectionType} If the parameter exactly matches "asc" or "desc" returns the corresponding
- * {@link Direction}. If dir is blank the default direction {@link Direction.asc} will be returned. Else an
+ * @param directions Optional. Map of `{accepted string: Direction}`, defaults to "asc" and "desc"
+ * @returns {DirectionType} If the parameter case-insensitively matches one of the accepted strings, returns the
+ * corresponding {@link Direction}. If dir is blank the default direction {@link Direction.asc} will be returned. Else an
  *   {@link InvalidSortError} is thrown
  */
-function stringToDirection(dir: string): DirectionType {
+function stringToDirection(dir: string, directions: ?{ [alias: string]: DirectionType }): DirectionType {
   if (isEmpty(dir)) {
     return Order._DEFAULT_DIRECTION;
   }
-  if (dir === Direction.asc) {
-    return Direction.asc;
-  } else if (dir === Direction.desc) {
-    return Direction.desc;
+  const accepted = directions || Direction;
+  const key = Object.keys(accepted).find(it => it.toLowerCase() === dir.toLowerCase());
+  if (key) {
+    return accepted[key];
   }
-  throw new InvalidSortError();
+  throw new InvalidSortError(dir, Object.keys(accepted));
 }
 
 /**
  * Sort options that should be applied to returned data set. Represents an iterable list of ordered properties.
- * @param orders Array of {@link Order} instances
+ *
+ * A Sort is immutable, its `orders` are a frozen copy of the array it is created with, and the methods composing
+ * Sorts (e.g. {@link Sort#and}, {@link Sort#reverse}) return a new instance sharing the (frozen) {@link Order}s.
+ * @param orders Array of {@link Order} instances, defaults to an empty array (unsorted)
  */
 export class Sort {
-  orders: Array<Order>;
+  orders: $ReadOnlyArray<Order>;
+
+  constructor(orders: $ReadOnlyArray<Order> = []) {
+    this.orders = Object.freeze(orders.slice());
+  }
+
+  /**
+   * Creates a Sort from properties (ordered ascending) and/or {@link Order}s, e.g. `Sort.by('lastName', 'firstName')`
+   *
+   * @param orders The properties or Orders to sort by, in order
+   * @returns New instance of Sort
+   */
+  static by(...orders: Array<string | Order>): Sort {
+    return new Sort(orders.map(it => ((typeof it === 'string') ? new Order(it) : it)));
+  }
+
+  /**
+   * Creates a Sort ordering by the orders of this Sort followed by those of `sort`, e.g. to append a user requested
+   * sort to a default sort: `Sort.by('status').and(pageable.sort)`
+   *
+   * @param sort Optional. The Sort to append, nothing is appended if it is not provided
+   * @returns New instance of Sort
+   */
+  and(sort: ?Sort): Sort {
+    return new Sort(sort ? this.orders.concat(sort.orders) : this.orders);
+  }
+
+  /**
+   * Creates a Sort with the direction of each order reversed, keeping their null handling and case sensitivity
+   *
+   * @returns New instance of Sort
+   */
+  reverse(): Sort {
+    return this.map(it => new Order(
+      it.property,
+      (it.direction === Direction.desc) ? Direction.asc : Direction.desc,
+      it.nullHandling,
+      Boolean(it.ignoreCase),
+    ));
+  }
+
+  /**
+   * Finds the {@link Order} of a property
+   *
+   * @param property The property to find
+   * @returns The first Order of `property`, or undefined if the Sort does not order on it
+   */
+  getOrderFor(property: string): ?Order {
+    return this.orders.find(it => it.property === property);
+  }
+
+  /**
+   * @returns Whether the Sort contains any orders
+   */
+  isSorted(): boolean {
+    return this.orders.length > 0;
+  }
+
+  /**
+   * Creates a Sort containing the orders of this Sort that `predicate` returns truthy for
+   *
+   * @param predicate Function invoked with each {@link Order} and its index
+   * @returns New instance of Sort
+   */
+  filter(predicate: (order: Order, index: number) => mixed): Sort {
+    return new Sort(this.orders.filter(predicate));
+  }
 
-  constructor(orders: Array<Order>) {
-    this.orders = orders;
+  /**
+   * Creates a Sort containing the result of invoking `iteratee` with each order of this Sort
+   *
+   * @param iteratee Function invoked with each {@link Order} and its index, returning the Order to use instead
+   * @returns New instance of Sort
+   */
+  map(iteratee: (order: Order, index: number) => Order): Sort {
+    return new Sort(this.orders.map(iteratee));
   }
 
   // $FlowFixMe - ignore until flow has support for computed properties. https://github.com/facebook/flow/issues/3460
-  [Symbol.iterator]() {
-    const values = Object.values(this.orders);
-    let count = 0;
-    let done = false;
-
-    const next = () => {
-      done = (count >= values.length);
-      const value = values[count += 1];
-      return { done, value };
-    };
-    return { next };
+  [Symbol.iterator](): Iterator<Order> {
+    return this.orders[Symbol.iterator]();
   }
 
   /**
    * Provides ability to execute Sort.forEach(...) and iterate over its contained list of {@link Order}s.
    *
-   * @param iteratee Function invoked with and provided with each {@link Order}'s (property, direction) pair as
-   *   arguments
+   * @param iteratee Function invoked with and provided with each {@link Order}'s (property, direction, nullHandling,
+   *   ignoreCase) as arguments
    */
-  forEach(iteratee: (property: string, direction: DirectionType) => *) {
-    this.orders.forEach(it => iteratee(it.property, it.direction));
+  forEach(iteratee: (
+    property: string,
+    direction: DirectionType,
+    nullHandling: ?NullHandlingType,
+    ignoreCase: boolean,
+  ) => *) {
+    this.orders.forEach(it => iteratee(it.property, it.direction, it.nullHandling, Boolean(it.ignoreCase)));
   }
 
   /**
    * Overrides default serialization to  serialize the orders directly instead of serializing the Sort with a nested
    * order list
    */
-  toJSON(): Array<Order> {
+  toJSON(): $ReadOnlyArray<Order> {
     return this.orders;
   }
 }
 
+/**
+ * Map of the flags that may follow a property in the sort query param to the {@link NullHandling} they select
+ */
+const NULL_HANDLING_FLAGS: { [flag: string]: NullHandlingType } = {
+  nullsfirst: NullHandling.nullsFirst,
+  nullslast: NullHandling.nullsLast,
+};
+
+/**
+ * Flag that may follow a property in the sort query param to order it case-insensitively
+ */
+const IGNORE_CASE_FLAG = 'ignorecase';
+
+/**
+ * Restrictions and mappings applied to the properties of a Sort when it is parsed from the request
+ */
+export type SortOptions = {
+  /**
+   * Properties the client may sort on. If specified, any other property results in an
+   * {@link InvalidSortPropertyError}. The keys of `aliases` are always allowed
+   */
+  allowedProperties?: ?Array<string>,
+  /**
+   * Map of `{requested property: property}` used to translate the public property names requested by clients into
+   * the names used by the data access tier (e.g. `{ lastName: 'people.last_name' }`)
+   */
+  aliases?: ?{ [requested: string]: string },
+  /**
+   * Map of `{accepted string: Direction}` of the direction strings clients may use (compared case-insensitively),
+   * e.g. {@link DirectionAliases}. Defaults to "asc" and "desc"
+   */
+  directions?: ?{ [alias: string]: DirectionType },
+  /**
+   * If true, a property prefixed with `-` (e.g. `-lastName`, as used by JSON:API) is sorted in descending order. Such
+   * a property may not also specify a direction
+   */
+  descendingPrefix?: boolean,
+};
+
+/**
+ * Checks whether `key` is an own property of `object`, so requested values such as `constructor` or `__proto__` are
+ * not resolved to members of `Object.prototype`
+ *
+ * @param object The object to check
+ * @param key The key to look up
+ * @returns True if `object` has its own property `key`
+ */
+function hasOwn(object: Object, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
 /**
  * Convert query param(s) into a Sort object. Supports both single (&foo=bar) and multi-value (&foo=bar&foo=baz) params
  *
  * @param sortRequestQuery Query param(s) to sort by
+ * @param options Optional. {@link SortOptions} restricting and translating the requested properties
+ * @param errors Optional. If specified, the error of each invalid segment of the sort is added to it (with the
+ *   segment's `index`) and the segment is skipped, instead of the first error being thrown
  * @returns Instance of Sort
  * @throws {@link InvalidSortError} if requested direction is not "asc" or "desc"
+ * @throws {@link InvalidSortPropertyError} if a requested property is not allowed
  */
-function parseSort(sortRequestQuery: string | Array<string>): Sort {
+function parseSort(
+  sortRequestQuery: string | Array<string>,
+  options: SortOptions = {},
+  errors?: Array<KoaPageableError>,
+): Sort {
+  const aliases = options.aliases || {};
+  const allowedProperties = options.allowedProperties
+    ? Array.from(new Set(options.allowedProperties.concat(Object.keys(aliases))))
+    : null;
   let paramArray: Array<string>;
 
   // Multi-value params - convert to flat list of string
@@ -221,51 +712,234 @@ function parseSort(sortRequestQuery: string | Array<string>): Sort {
   // Ensure that only valid values are used (multiple commas are excluded).
   const validArray = paramArray.filter(param => (param.length > 0));
 
-  const orderList = validArray.map((it) => {
+  const orderList = [];
+  validArray.forEach((it, index) => {
     // Ensure that only valid values are used (if multiple colons were specified in error).
     const result = it.split(':').filter(value => (value.length > 0));
-    return new Order(result[0], stringToDirection(result[1]));
+    let property = result[0];
+    try {
+      // the property can be followed by a direction and flags, e.g. `lastName:desc:nullslast:ignorecase`
+      let requestedDirection: ?string = null;
+      let nullHandling: ?NullHandlingType = null;
+      let ignoreCase = false;
+      result.slice(1).forEach((token) => {
+        const flag = token.toLowerCase();
+        const isNullHandling = hasOwn(NULL_HANDLING_FLAGS, flag);
+        if (isNullHandling && !nullHandling) {
+          nullHandling = NULL_HANDLING_FLAGS[flag];
+        } else if (flag === IGNORE_CASE_FLAG && !ignoreCase) {
+          ignoreCase = true;
+        } else if (requestedDirection || isNullHandling || flag === IGNORE_CASE_FLAG) {
+          throw new InvalidSortError(
+            token,
+            Object.keys(options.directions || Direction),
+            Object.keys(NULL_HANDLING_FLAGS).concat(IGNORE_CASE_FLAG),
+          );
+        } else {
+          requestedDirection = token;
+        }
+      });
+
+      let direction = stringToDirection(requestedDirection || '', options.directions);
+      if (options.descendingPrefix && property.startsWith('-')) {
+        if (requestedDirection) {
+          throw new InvalidSortError(`${property}:${requestedDirection}`, Object.keys(options.directions || Direction));
+        }
+        property = property.substring(1);
+        direction = Direction.desc;
+      }
+      // e.g. a lone "-" with the descending prefix enabled
+      if (!property || (allowedProperties && !allowedProperties.includes(property))) {
+        throw new InvalidSortPropertyError(property, allowedProperties || []);
+      }
+      const orderProperty = hasOwn(aliases, property) ? aliases[property] : property;
+      orderList.push(new Order(orderProperty, direction, nullHandling, ignoreCase));
+    } catch (e) {
+      if (!(e instanceof KoaPageableError)) {
+        throw e;
+      }
+      e.index = index;
+      if (!errors) {
+        throw e;
+      }
+      errors.push(e);
+    }
   });
 
   return new Sort(orderList);
 }
 
 /**
- * Represents the configuration for a page of elements. Created by the middleware based on the request query parameters
- * @param pageNumber The page to be returned
- * @param pageSize The number of elements to be returned
- * @param indexed The format to return the results in.
- * If true and the type of the content being returned supports it (has an `id` property), the result will contain a
- *   (potentially ordered, based on `sort`) list of `ids` and a corresponding map of `{id: content item}`, else content
- *   returned as a simple array. Default value is false.
- * @param sort Optional. The order to return the results in, ordered list of property, {@link Direction}.
+ * Appends `tieBreaker` to `sort` unless the sort already orders on the tie-breaker's property, so elements with equal
+ * values for all requested properties are still returned in a deterministic order.
+ *
+ * @param sort Optional. The requested Sort
+ * @param tieBreaker The Order to append
+ * @returns New instance of Sort, or `sort` if it already contains the property
  */
-export class Pageable {
-  /**
-   * The number of the Page to be returned
-   */
-  page: number;
-  /**
-   * The number of elements in the Page to be returned
-   */
-  size: number;
-  /**
-   * The order of the elements in the Page to be returned
-   */
-  sort: ?Sort;
-  /**
-   * If true and the type of the content being returned supports it (has an `id` property), the resulting {@link Page}
-   * will be of type {@link IndexedPage} and will contain a
-   *   (potentially ordered, based on `sort`) list of `ids` and a corresponding map of `{id : content item}`, else the
-   * page will be of type {@ArrayPage} and content will be returned as a simple array.
-   */
-  indexed: boolean;
+function appendTieBreaker(sort: ?Sort, tieBreaker: Order): Sort {
+  if (!sort) {
+    return new Sort([tieBreaker]);
+  }
+  if (sort.getOrderFor(tieBreaker.property)) {
+    return sort;
+  }
+  return sort.and(new Sort([tieBreaker]));
+}
 
-  constructor(
-    pageNumber: number = 0,
-    pageSize: number = 20,
-    indexed: boolean = false,
-    sort: ?string | ?Array<string> | Sort,
+/**
+ * Removes the last order of `sort` if it equals `tieBreaker`, so a sort written back to the request (e.g. into page
+ * links) doesn't request the tie-breaker, which {@link createPaginate} appends again and which may not be one of the
+ * allowed sort properties.
+ *
+ * @param sort The Sort to remove the tie-breaker from
+ * @param tieBreaker Optional. The tie-breaker Order or its sort string, nothing is removed if omitted
+ * @returns New instance of Sort, or `sort` if it doesn't end with the tie-breaker
+ */
+function removeTieBreaker(sort: Sort, tieBreaker: ?Order | ?string): Sort {
+  const order: ?Order = (typeof tieBreaker === 'string') ? parseSort(tieBreaker).orders[0] : tieBreaker;
+  const last = sort.orders[sort.orders.length - 1];
+  if (!order || !last || last.property !== order.property || last.direction !== order.direction
+    || last.nullHandling !== order.nullHandling || last.ignoreCase !== order.ignoreCase) {
+    return sort;
+  }
+  return new Sort(sort.orders.slice(0, -1));
+}
+
+/**
+ * Compares two values of a property in ascending order. `null` and `undefined` are greater than any other value, so
+ * they are ordered last in ascending and first in descending order.
+ *
+ * @param a The first value
+ * @param b The second value
+ * @returns Negative if `a` is ordered before `b`, positive if after, else 0
+ */
+function compareValues(a: any, b: any): number {
+  const aMissing = (a === null || a === undefined);
+  const bMissing = (b === null || b === undefined);
+  if (aMissing || bMissing) {
+    return Number(aMissing) - Number(bMissing);
+  }
+  if (a < b) {
+    return -1;
+  }
+  return (a > b) ? 1 : 0;
+}
+
+/**
+ * Converts string values to lower case, leaving any other value as is
+ *
+ * @param value The value to convert
+ * @returns The lower case value
+ */
+function lowerCase(value: any): any {
+  return (typeof value === 'string') ? value.toLowerCase() : value;
+}
+
+/**
+ * Creates a comparator that orders objects by each {@link Order} of `sort` in turn, honoring its direction,
+ * {@link NullHandling} (with {@link NullHandling.native}, `null` values are ordered as by {@link compareValues}) and
+ * `ignoreCase` (string values are compared in lower case).
+ *
+ * @param sort The Sort to order by
+ * @returns Comparator function suitable for `Array.prototype.sort`
+ */
+function sortComparator(sort: Sort): (Object, Object) => number {
+  return (a, b) => {
+    for (let i = 0; i < sort.orders.length; i += 1) {
+      const {
+        property,
+        direction,
+        nullHandling,
+        ignoreCase,
+      } = sort.orders[i];
+      const aMissing = (a[property] === null || a[property] === undefined);
+      const bMissing = (b[property] === null || b[property] === undefined);
+      if (aMissing !== bMissing && nullHandling && nullHandling !== NullHandling.native) {
+        return (aMissing === (nullHandling === NullHandling.nullsFirst)) ? -1 : 1;
+      }
+      const result = ignoreCase ?
+        compareValues(lowerCase(a[property]), lowerCase(b[property])) :
+        compareValues(a[property], b[property]);
+      if (result !== 0) {
+        return (direction === Direction.desc) ? -result : result;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Convert a Sort object into the query param format read by {@link parseSort}
+ *
+ * @param sort The Sort to convert
+ * @param aliases Optional. The aliases the Sort was parsed with, properties are translated back to the alias
+ * @param descendingPrefix If true, descending orders are written as `-property` rather than `property:desc`
+ * @returns Comma separated list of `property:direction` pairs, followed by any flags of the Order
+ */
+function formatSort(
+  sort: Sort,
+  aliases: ?{ [requested: string]: string },
+  descendingPrefix: ?boolean = false,
+): string {
+  const aliasMap = aliases || {};
+  const requestedNames = {};
+  Object.keys(aliasMap).forEach((requested) => {
+    requestedNames[aliasMap[requested]] = requested;
+  });
+  return sort.orders.map((it) => {
+    const property = hasOwn(requestedNames, it.property) ? requestedNames[it.property] : it.property;
+    const flags = Object.keys(NULL_HANDLING_FLAGS).filter(flag => NULL_HANDLING_FLAGS[flag] === it.nullHandling);
+    if (it.ignoreCase) {
+      flags.push(IGNORE_CASE_FLAG);
+    }
+    if (descendingPrefix) {
+      return [(it.direction === Direction.desc) ? `-${property}` : property].concat(flags).join(':');
+    }
+    return [property, it.direction].concat(flags).join(':');
+  }).join(',');
+}
+
+/**
+ * Represents the configuration for a page of elements. Created by the middleware based on the request query parameters
+ * @param pageNumber The page to be returned
+ * @param pageSize The number of elements to be returned
+ * @param indexed The format to return the results in.
+ * If true and the type of the content being returned supports it (has an `id` property), the result will contain a
+ *   (potentially ordered, based on `sort`) list of `ids` and a corresponding map of `{id: content item}`, else content
+ *   returned as a simple array. Default value is false.
+ * @param sort Optional. The order to return the results in, ordered list of property, {@link Direction}.
+ */
+export class Pageable {
+  /**
+   * The number of the Page to be returned
+   */
+  page: number;
+  /**
+   * The number of elements in the Page to be returned
+   */
+  size: number;
+  /**
+   * The order of the elements in the Page to be returned
+   */
+  sort: ?Sort;
+  /**
+   * If true and the type of the content being returned supports it (has an `id` property), the resulting {@link Page}
+   * will be of type {@link IndexedPage} and will contain a
+   *   (potentially ordered, based on `sort`) list of `ids` and a corresponding map of `{id : content item}`, else the
+   * page will be of type {@ArrayPage} and content will be returned as a simple array.
+   */
+  indexed: boolean;
+
+  static _DEFAULT_PAGE = 0;
+
+  static _DEFAULT_SIZE = 20;
+
+  constructor(
+    pageNumber: number = Pageable._DEFAULT_PAGE,
+    pageSize: number = Pageable._DEFAULT_SIZE,
+    indexed: boolean = false,
+    sort: ?string | ?Array<string> | Sort,
   ) {
     this.page = pageNumber;
     this.size = pageSize;
@@ -279,6 +953,183 @@ export class Pageable {
       }
     }
   }
+
+  /**
+   * @returns The number of elements preceding the requested page, i.e. the offset to apply to the data query
+   */
+  getOffset(): number {
+    return this.page * this.size;
+  }
+
+  /**
+   * @returns Whether there is a page preceding the requested page
+   */
+  hasPrevious(): boolean {
+    return this.page > 0;
+  }
+
+  /**
+   * @returns New Pageable requesting the page following this one
+   */
+  next(): Pageable {
+    return this.withPage(this.page + 1);
+  }
+
+  /**
+   * @returns New Pageable requesting the page preceding this one, or the first page if this is the first page
+   */
+  previousOrFirst(): Pageable {
+    return this.hasPrevious() ? this.withPage(this.page - 1) : this.first();
+  }
+
+  /**
+   * @returns New Pageable requesting the first page
+   */
+  first(): Pageable {
+    return this.withPage(Pageable._DEFAULT_PAGE);
+  }
+
+  /**
+   * @param pageNumber The page to be returned
+   * @returns New Pageable requesting `pageNumber`, with the same size, format and sort
+   */
+  withPage(pageNumber: number): Pageable {
+    return new Pageable(pageNumber, this.size, this.indexed, this.sort);
+  }
+
+  /**
+   * @param pageSize The number of elements to be returned
+   * @returns New Pageable requesting pages of `pageSize` elements, with the same page, format and sort
+   */
+  withSize(pageSize: number): Pageable {
+    return new Pageable(this.page, pageSize, this.indexed, this.sort);
+  }
+
+  /**
+   * @param sort Optional. The order to return the results in, no order is applied if not provided
+   * @returns New Pageable requesting the results in the order of `sort`, with the same page, size and format
+   */
+  withSort(sort: ?string | ?Array<string> | Sort): Pageable {
+    return new Pageable(this.page, this.size, this.indexed, sort);
+  }
+}
+
+/**
+ * Encodes the values of a cursor into an opaque, url-safe string.
+ *
+ * @param values Map of `{property: value}` identifying the position of an element in the sorted data set
+ * @returns The encoded cursor
+ */
+export function encodeCursor(values: { [property: string]: mixed }): string {
+  return Buffer.from(JSON.stringify(values), 'utf8').toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor created by {@link encodeCursor} back into its values.
+ *
+ * @param cursor The encoded cursor
+ * @returns Map of `{property: value}`
+ * @throws {@link InvalidCursorError} if the cursor is not a valid encoded cursor
+ */
+export function decodeCursor(cursor: string): { [property: string]: mixed } {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (e) {
+    throw new InvalidCursorError(`Could not decode cursor '${cursor}'`, cursor);
+  }
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new InvalidCursorError(`Could not decode cursor '${cursor}'`, cursor);
+  }
+  return values;
+}
+
+/**
+ * Represents the configuration for a page of elements positioned relative to a cursor (keyset pagination), rather than
+ * by page number. At most one of `after` and `before` may be specified, if neither is the first page is requested.
+ *
+ * A cursor encodes the values of the `sort` properties of an element, so a sort is required and should end with a
+ * property that uniquely identifies each element.
+ *
+ * @param pageSize The number of elements to be returned
+ * @param sort The order to return the results in, ordered list of property, {@link Direction}.
+ * @param after Optional. Cursor of the element the page should start after
+ * @param before Optional. Cursor of the element the page should end before
+ * @throws {@link InvalidCursorError} if both cursors are specified, there is no sort, or the cursor does not match
+ *   the sort
+ */
+export class CursorPageable {
+  /**
+   * The number of elements in the Page to be returned
+   */
+  size: number;
+  /**
+   * The order of the elements in the Page to be returned
+   */
+  sort: Sort;
+  /**
+   * Cursor of the element the page should start after
+   */
+  after: ?string;
+  /**
+   * Cursor of the element the page should end before
+   */
+  before: ?string;
+  /**
+   * Decoded `{property: value}` map of the `after` or `before` cursor, null when requesting the first page
+   */
+  cursorValues: ?{ [property: string]: mixed };
+
+  constructor(
+    pageSize: number = Pageable._DEFAULT_SIZE,
+    sort: ?string | ?Array<string> | Sort,
+    after: ?string,
+    before: ?string,
+  ) {
+    if (after && before) {
+      throw new InvalidCursorError('Only one of the "after" and "before" cursors may be specified');
+    }
+    this.size = pageSize;
+    this.sort = (sort instanceof Sort) ? sort : parseSort(sort || []);
+    if (this.sort.orders.length === 0) {
+      throw new InvalidCursorError('Cursor pagination requires a sort');
+    }
+    this.after = after || null;
+    this.before = before || null;
+    this.cursorValues = null;
+
+    const cursor = this.after || this.before;
+    if (cursor) {
+      const values = decodeCursor(cursor);
+      // a sort may repeat a property, which the cursor holds once
+      const properties = new Set(this.sort.orders.map(it => it.property));
+      const keys = Object.keys(values);
+      if (keys.length !== properties.size || !keys.every(it => properties.has(it))) {
+        throw new InvalidCursorError(`Cursor '${cursor}' does not match the requested sort`, cursor);
+      }
+      this.cursorValues = values;
+    }
+  }
+}
+
+/**
+ * Identifies the content items of an {@link IndexablePage}: either the name of the property holding the id of each
+ * item (e.g. `_id` or `uuid`), or a function returning the id of an item (e.g. for composite keys,
+ * `it => [it.orderId, it.lineNumber].join('/')`)
+ */
+export type IdKey<I, T> = string | (item: T) => I;
+
+/**
+ * Creates a function returning the id of a content item, as identified by `idKey`
+ *
+ * @param idKey The {@link IdKey} of the content items
+ * @returns Function returning the id of an item
+ */
+function idGetter<I, T: Object>(idKey: IdKey<I, T>): (item: T) => I {
+  return item => ((typeof idKey === 'function') ? idKey(item) : item[idKey]);
 }
 
 /**
@@ -338,6 +1189,38 @@ export class Page {
     this.first = (this.number === 0);
     this.last = (this.number >= this.totalPages - 1);
   }
+
+  /**
+   * Creates the page requested by `pageable` from an in-memory array containing the whole data set. The array is
+   * sorted by `pageable.sort` (elements that are equal according to the sort keep their relative order) and then
+   * sliced to the requested page. The array itself is not modified.
+   *
+   * @param items All elements of the data set
+   * @param pageable The {@link Pageable} containing the paging information
+   * @param idKey The {@link IdKey} of the items, used if `pageable.indexed` is true. Defaults to `id`
+   * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+   *   {@link IdConflictPolicy.error}
+   * @returns An {@link IndexablePage} if `pageable.indexed` is true, else an {@link ArrayPage}
+   */
+  static fromArray<T: Object>(
+    items: Array<T>,
+    pageable: Pageable,
+    idKey: IdKey<*, T> = 'id',
+    idConflictPolicy?: IdConflictPolicyType,
+  ): Page {
+    let sorted = items;
+    const { sort } = pageable;
+    if (sort) {
+      const compare = sortComparator(sort);
+      sorted = items
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => compare(a.item, b.item) || (a.index - b.index))
+        .map(it => it.item);
+    }
+    const offset = pageable.getOffset();
+    // eslint-disable-next-line no-use-before-define
+    return createPage(sorted.slice(offset, offset + pageable.size), items.length, pageable, idKey, idConflictPolicy);
+  }
 }
 
 // Sadly documentation.js does not reasonably  handle inheritance
@@ -419,52 +1302,159 @@ export class IndexedPage<I, T: ?Object> extends Page {
   }
 }
 
+/**
+ * Enumeration of the ways an {@link IndexablePage} handles duplicated and missing (`null` or `undefined`) ids when its
+ * content is indexed
+ * @type {{error: string, dedupe: string, drop: string}}
+ * @enum {string}
+ */
+export const IdConflictPolicy = {
+  /**
+   * Throw an {@link IdConflictError} listing the duplicated ids and the positions of the items without an id
+   */
+  error: 'error',
+  /**
+   * Keep the first item of each duplicated id, and leave out the items without an id
+   */
+  dedupe: 'dedupe',
+  /**
+   * Leave out every item of a duplicated id, and the items without an id
+   */
+  drop: 'drop',
+};
+
+/**
+ * Flow type for {@link IdConflictPolicy} enum
+ */
+export type IdConflictPolicyType = $Keys<typeof IdConflictPolicy>;
+
+/**
+ * Selects the content items to index, applying `policy` to the items with duplicated or missing ids.
+ *
+ * @param content The content to index
+ * @param idOf Function returning the id of a content item
+ * @param policy The {@link IdConflictPolicy} to apply
+ * @returns The content items to index, in order
+ * @throws IdConflictError if there are duplicated or missing ids and `policy` is {@link IdConflictPolicy.error}
+ */
+function resolveIdConflicts<T>(content: Array<T>, idOf: T => mixed, policy: IdConflictPolicyType): Array<T> {
+  const isMissing = id => (id === null || id === undefined);
+  // ids are compared as the keys of the index they are written to
+  const seen = new Set();
+  const duplicated = new Set();
+  const duplicateIds = [];
+  const missingIdIndexes = [];
+  content.forEach((item, index) => {
+    const id = idOf(item);
+    if (isMissing(id)) {
+      missingIdIndexes.push(index);
+    } else if (!seen.has(String(id))) {
+      seen.add(String(id));
+    } else if (!duplicated.has(String(id))) {
+      duplicated.add(String(id));
+      duplicateIds.push(id);
+    }
+  });
+  if (duplicateIds.length === 0 && missingIdIndexes.length === 0) {
+    return content;
+  }
+  if (policy === IdConflictPolicy.dedupe) {
+    const kept = new Set();
+    return content.filter((item) => {
+      const id = idOf(item);
+      if (isMissing(id) || kept.has(String(id))) {
+        return false;
+      }
+      kept.add(String(id));
+      return true;
+    });
+  }
+  if (policy === IdConflictPolicy.drop) {
+    return content.filter((item) => {
+      const id = idOf(item);
+      return !isMissing(id) && !duplicated.has(String(id));
+    });
+  }
+  throw new IdConflictError(duplicateIds, missingIdIndexes);
+}
+
 /**
  * Page type that can be serialized to json  as either an {@ArrayPage} or {@IndexedPage}.
  *
- * In order to achieve this, _all_ elements in the content array *must* have an `id` property.
+ * In order to achieve this, _all_ elements in the content array *must* have an id, identified by `idKey` (the `id`
+ * property unless another property or an id function is specified).
  *
- * Then, upon serialization, if the `indexed` value is true, the content is grouped by `id` to obtain the map of `{id:
+ * Then, upon serialization, if the `indexed` value is true, the content is grouped by id to obtain the map of `{id:
  * content item}` and  written as an {@link IndexedPage}, else it is written as an {@link ArrayPage}
  *
  * @param content The content to be returned
  * @param totalElements The total number of elements in the data set
  * @param pageable The {@link Pageable} containing the paging information
+ * @param idKey The {@link IdKey} of the content items, defaults to `id`
+ * @param idConflictPolicy How duplicated and missing ids are handled when the content is indexed, defaults to
+ *   {@link IdConflictPolicy.error}
  */
-export class IndexablePage<I, T: { id: I }> extends Page {
+export class IndexablePage<I, T: Object> extends Page {
   content: Array<T>;
   indexed: boolean = false;
 
-  constructor(content: Array<T> = [], totalElements: number, pageable: Pageable) {
+  /**
+   * Name of the property holding the id of each content item, or function returning the id of a content item
+   */
+  idKey: IdKey<I, T>;
+
+  /**
+   * How duplicated and missing ids are handled when the content is indexed
+   */
+  idConflictPolicy: IdConflictPolicyType;
+
+  constructor(
+    content: Array<T> = [],
+    totalElements: number,
+    pageable: Pageable,
+    idKey: IdKey<I, T> = 'id',
+    idConflictPolicy: IdConflictPolicyType = IdConflictPolicy.error,
+  ) {
     super(totalElements, pageable);
     this.content = content;
     this.indexed = pageable.indexed;
+    this.idKey = idKey;
+    this.idConflictPolicy = idConflictPolicy;
     this.numberOfElements = this.content.length;
   }
 
   /**
-   * Returns a new {@link IndexablePage} created by running each element of `content` through iteratee
+   * Returns a new {@link IndexablePage} created by running each element of `content` through iteratee. The
+   * transformed elements keep the `idKey` of this page, so they must have the same id property (or be supported by
+   * the same id function).
    * @param iteratee Method to transform content elements
    * @returns Transformed {@link IndexablePage}
    */
 
-  map<R: { id: I }>(iteratee: (T) => R): IndexablePage<I, R> {
+  map<R: Object>(iteratee: (T) => R): IndexablePage<I, R> {
     return new IndexablePage(
       this.content.map(iteratee),
       this.totalElements,
       new Pageable(this.number, this.size, this.indexed, this.sort),
+      (this.idKey: any),
+      this.idConflictPolicy,
     );
   }
 
   /**
    * Json Serizliation that checks `indexed` property, and returns an {@link IndexedPage} if true, else
-   * {@link ArrayPage}
+   * {@link ArrayPage}. Duplicated and missing ids are handled according to `idConflictPolicy`.
    * @returns {Page}
+   * @throws IdConflictError if there are duplicated or missing ids and `idConflictPolicy` is
+   *   {@link IdConflictPolicy.error}
    */
   toJSON(): Page {
     if (this.indexed) {
-      const ids: Array<I> = this.content.map(it => it.id);
-      const contentById: { [index: I]: ?T } = keyBy(this.content, 'id');
+      const { idKey } = this;
+      const idOf = idGetter(idKey);
+      const content = resolveIdConflicts(this.content, idOf, this.idConflictPolicy);
+      const ids: Array<I> = content.map(idOf);
+      const contentById: { [index: I]: ?T } = keyBy(content, idKey);
       return new IndexedPage(
         ids,
         contentById,
@@ -481,19 +1471,1222 @@ export class IndexablePage<I, T: { id: I }> extends Page {
 }
 
 /**
- * Koa Middleware function that reads pagination parameters from the query string, and populate `ctx.state.pageable`
- * with a {@link Pageable} instance.
+ * Container for a page of content requested with a {@link CursorPageable}. Instead of page numbers and totals, it
+ * provides the cursors of its first and last elements so the neighboring pages can be requested.
  *
- * @param ctx Context associated with the Koa middleware function
- * @param next Middleware function called after {@link Pageable} property is set in state
- * @returns {Promise}
+ * @param content The content to be returned, ordered by `pageable.sort`
+ * @param pageable The {@link CursorPageable} containing the paging information
+ * @param hasNext True if more elements are available after the last element of `content`
+ * @param hasPrevious True if more elements are available before the first element of `content`. Defaults to true if
+ *   the page was requested with a cursor
  */
-export async function paginate(ctx: Context, next: Function) {
-  const page = parseOptionalIntOrThrow(ctx.query.page) || 0;
-  const size = parseOptionalIntOrThrow(ctx.query.size) || 10;
-  const sort = ctx.query.sort || null;
-  const indexed: boolean = (ctx.query.indexed === 'true');
+export class CursorPage<T: Object> {
+  /**
+   * Array of content
+   */
+  content: Array<T>;
+
+  /**
+   * Size of the page (based on requested value)
+   */
+  size: number;
+
+  /**
+   * Number of elements in the current page
+   */
+  numberOfElements: number;
+
+  /**
+   * Sort of this page
+   */
+  sort: Sort;
+
+  /**
+   * True if more elements are available after this page
+   */
+  hasNext: boolean;
+
+  /**
+   * True if more elements are available before this page
+   */
+  hasPrevious: boolean;
+
+  /**
+   * Cursor to pass as `after` to request the next page, null if there is no next page
+   */
+  nextCursor: ?string;
+
+  /**
+   * Cursor to pass as `before` to request the previous page, null if there is no previous page
+   */
+  prevCursor: ?string;
+
+  constructor(
+    content: Array<T> = [],
+    pageable: CursorPageable,
+    hasNext: boolean,
+    hasPrevious: boolean = Boolean(pageable.after || pageable.before),
+  ) {
+    this.content = content;
+    this.size = pageable.size;
+    this.sort = pageable.sort;
+    this.numberOfElements = content.length;
+    this.hasNext = hasNext;
+    this.hasPrevious = hasPrevious;
+
+    this.nextCursor = (hasNext && content.length > 0) ? this.cursorFor(content[content.length - 1]) : null;
+    this.prevCursor = (hasPrevious && content.length > 0) ? this.cursorFor(content[0]) : null;
+  }
+
+  /**
+   * Returns the cursor identifying the position of `item` within this page's sort
+   *
+   * @param item A content element
+   * @returns The encoded cursor
+   */
+  cursorFor(item: T): string {
+    const values = {};
+    this.sort.forEach((property) => {
+      values[property] = item[property];
+    });
+    return encodeCursor(values);
+  }
+
+  /**
+   * Returns a new {@link CursorPage} created by invoking `iteratee` on each element in `content`. The cursors are
+   * carried over from this page, as the transformed elements may no longer contain the sort properties.
+   *
+   * @param iteratee Method to transform content elements
+   * @returns Transformed {@link CursorPage}
+   */
+  map<R: Object>(iteratee: (T) => R): CursorPage<R> {
+    const mapped = new CursorPage(this.content.map(iteratee), new CursorPageable(this.size, this.sort), false, false);
+    mapped.hasNext = this.hasNext;
+    mapped.hasPrevious = this.hasPrevious;
+    mapped.nextCursor = this.nextCursor;
+    mapped.prevCursor = this.prevCursor;
+    return mapped;
+  }
+}
 
-  ctx.state.pageable = new Pageable(page, size, indexed, sort);
-  return next();
+/**
+ * Enumeration of the ways the middleware handles a requested page size larger than `maxSize`
+ * @type {{clamp: string, reject: string}}
+ * @enum {string}
+ */
+export const MaxSizeStrategy = {
+  /**
+   * Silently reduce the page size to `maxSize`
+   */
+  clamp: 'clamp',
+  /**
+   * Throw a {@link PageSizeExceededError}
+   */
+  reject: 'reject',
+};
+
+/**
+ * Flow type for {@link MaxSizeStrategy} enum
+ */
+export type MaxSizeStrategyType = $Keys<typeof MaxSizeStrategy>;
+
+/**
+ * Enumeration of the pagination styles supported by the middleware
+ * @type {{offset: string, cursor: string}}
+ * @enum {string}
+ */
+export const PagingMode = {
+  /**
+   * Page number based pagination, the middleware creates a {@link Pageable}
+   */
+  offset: 'offset',
+  /**
+   * Cursor (keyset) based pagination, the middleware creates a {@link CursorPageable}
+   */
+  cursor: 'cursor',
+};
+
+/**
+ * Flow type for {@link PagingMode} enum
+ */
+export type PagingModeType = $Keys<typeof PagingMode>;
+
+/**
+ * Media types of the representations of a {@link Page} the middleware chooses from when the `negotiate` option of
+ * {@link createPaginate} is enabled
+ * @type {{json: string, indexedJson: string, arrayJson: string, hal: string, jsonApi: string}}
+ */
+export const PageMediaTypes = {
+  /**
+   * The page as serialized, indexed if requested by the `indexed` query parameter
+   */
+  json: 'application/json',
+  /**
+   * The page in the indexed format of {@link IndexedPage}, regardless of the `indexed` query parameter. Only offered
+   * for an {@link IndexablePage} or {@link IndexedPage}
+   */
+  indexedJson: 'application/json; indexed=true',
+  /**
+   * The page in the format of {@link ArrayPage}, regardless of the `indexed` query parameter
+   */
+  arrayJson: 'application/json; indexed=false',
+  /**
+   * The page rendered by {@link toHal}
+   */
+  hal: 'application/hal+json',
+  /**
+   * The page rendered by {@link toJsonApi}
+   */
+  jsonApi: 'application/vnd.api+json',
+};
+
+/**
+ * Names of the response headers the properties of a {@link Page} are written to when the `metadataHeaders` option of
+ * {@link createPaginate} is enabled
+ */
+export type PageMetadataHeaders = {
+  /**
+   * Header holding `page.totalElements`, defaults to `X-Total-Count`
+   */
+  totalElements: string,
+  /**
+   * Header holding `page.totalPages`, defaults to `X-Total-Pages`
+   */
+  totalPages: string,
+  /**
+   * Header holding `page.number`, defaults to `X-Page`
+   */
+  number: string,
+  /**
+   * Header holding `page.size`, defaults to `X-Page-Size`
+   */
+  size: string,
+};
+
+const DEFAULT_METADATA_HEADERS: PageMetadataHeaders = {
+  totalElements: 'X-Total-Count',
+  totalPages: 'X-Total-Pages',
+  number: 'X-Page',
+  size: 'X-Page-Size',
+};
+
+/**
+ * Options accepted by {@link createPaginate} to customize how the middleware reads the request and where it stores
+ * the resulting {@link Pageable}. All properties are optional.
+ */
+export type PaginateOptions = {
+  /**
+   * Name of the query parameter holding the page number, defaults to `page`
+   */
+  pageParam?: string,
+  /**
+   * Name of the query parameter holding the page size, defaults to `size`
+   */
+  sizeParam?: string,
+  /**
+   * Name of the query parameter holding the sort, defaults to `sort`
+   */
+  sortParam?: string,
+  /**
+   * Name of the query parameter holding the indexed flag, defaults to `indexed`
+   */
+  indexedParam?: string,
+  /**
+   * Name of the query parameter holding the cursor to page forward from, defaults to `after`
+   */
+  afterParam?: string,
+  /**
+   * Name of the query parameter holding the cursor to page backward from, defaults to `before`
+   */
+  beforeParam?: string,
+  /**
+   * Whether a {@link Pageable} or a {@link CursorPageable} is created, defaults to {@link PagingMode.offset}
+   */
+  mode?: PagingModeType,
+  /**
+   * Page size used when the request does not specify one, defaults to 10
+   */
+  defaultSize?: number,
+  /**
+   * Sort used when the request does not specify one, defaults to none. It is not subject to `sortProperties` and
+   * `sortAliases`, so it names the properties of the data access tier
+   */
+  defaultSort?: ?string | ?Array<string> | Sort,
+  /**
+   * Properties the client may sort on, defaults to any property. See {@link SortOptions}
+   */
+  sortProperties?: ?Array<string>,
+  /**
+   * Map of `{requested property: property}` applied to the sort, defaults to none. In cursor mode the requested
+   * properties are allowed but not translated, as cursors are built from the sort properties of the returned elements.
+   * See {@link SortOptions}
+   */
+  sortAliases?: ?{ [requested: string]: string },
+  /**
+   * Map of `{accepted string: Direction}` of the sort directions clients may use, defaults to "asc" and "desc". See
+   * {@link SortOptions}
+   */
+  sortDirections?: ?{ [alias: string]: DirectionType },
+  /**
+   * If true, properties prefixed with `-` are sorted in descending order, defaults to false. See {@link SortOptions}
+   */
+  sortDescendingPrefix?: boolean,
+  /**
+   * Order appended to every sort that does not already order on its property, ensuring a stable order across pages.
+   * Either an {@link Order} or a string in the `property:direction` format, e.g. `id:asc`. Defaults to none
+   */
+  tieBreaker?: ?Order | ?string,
+  /**
+   * Largest page size a client may request, defaults to no limit
+   */
+  maxSize?: ?number,
+  /**
+   * How a page size above `maxSize` is handled, defaults to {@link MaxSizeStrategy.clamp}
+   */
+  maxSizeStrategy?: MaxSizeStrategyType,
+  /**
+   * Property of `ctx.state` the {@link Pageable} is stored under, defaults to `pageable`
+   */
+  stateKey?: string,
+  /**
+   * If true, a `Link` header pointing at the neighboring pages is written when the response body is a {@link Page}
+   * or {@link CursorPage}, defaults to false
+   */
+  linkHeader?: boolean,
+  /**
+   * If set, the totals of a {@link Page} response body are written to response headers. Either true to use the
+   * default header names, or a map of {@link PageMetadataHeaders} overriding some of them. Defaults to false
+   */
+  metadataHeaders?: boolean | $Shape<PageMetadataHeaders>,
+  /**
+   * If true, a `Content-Range` header in `items 0-9/100` form is written for a {@link Page} response body, defaults
+   * to false
+   */
+  contentRangeHeader?: boolean,
+  /**
+   * If true, all pagination parameters are validated and any errors are thrown together as a
+   * {@link PaginationValidationError}, rather than the first error being thrown. Defaults to false
+   */
+  collectErrors?: boolean,
+  /**
+   * If true, the page number and size must be single, canonical non-negative integers (e.g. `3abc`, `1e3`, `2.9` and
+   * repeated parameters are rejected), rather than the leading integer of the value being used. Defaults to false
+   */
+  strictNumbers?: boolean,
+  /**
+   * If true, a {@link Page} response body is converted to the representation of {@link PageMediaTypes} preferred by
+   * the request's `Accept` header (the plain `application/json` representation if it has none). A
+   * {@link NotAcceptableError} is thrown if none of them is acceptable. Defaults to false
+   */
+  negotiate?: boolean,
+  /**
+   * Name of the relation the content of a page is embedded as in the HAL representation, defaults to `content`
+   */
+  halRel?: string,
+};
+
+const DEFAULT_PAGINATE_OPTIONS = {
+  pageParam: 'page',
+  sizeParam: 'size',
+  sortParam: 'sort',
+  indexedParam: 'indexed',
+  afterParam: 'after',
+  beforeParam: 'before',
+  mode: PagingMode.offset,
+  defaultSize: 10,
+  defaultSort: null,
+  sortProperties: null,
+  sortAliases: null,
+  sortDirections: null,
+  sortDescendingPrefix: false,
+  tieBreaker: null,
+  maxSize: null,
+  maxSizeStrategy: MaxSizeStrategy.clamp,
+  stateKey: 'pageable',
+  linkHeader: false,
+  metadataHeaders: false,
+  contentRangeHeader: false,
+  collectErrors: false,
+  strictNumbers: false,
+  negotiate: false,
+  halRel: 'content',
+};
+
+/**
+ * Ensures the requested page number is not negative.
+ *
+ * @param page The requested page number
+ * @returns The page number
+ * @throws {@link PageBoundsError} if `page` is negative
+ */
+function checkPageNumber(page: number): number {
+  if (page < 0) {
+    throw new PageBoundsError(`Page number must not be negative, was ${page}`, page);
+  }
+  return page;
+}
+
+/**
+ * Ensures the requested page size is within bounds.
+ *
+ * @param size The requested page size
+ * @param maxSize Optional. The largest allowed page size
+ * @param maxSizeStrategy How to handle a `size` larger than `maxSize`
+ * @returns The page size to use, which is `maxSize` if `size` was clamped
+ * @throws {@link PageBoundsError} if `size` is less than 1
+ * @throws {@link PageSizeExceededError} if `size` is larger than `maxSize` and `maxSizeStrategy` is `reject`
+ */
+function checkPageSize(size: number, maxSize: ?number, maxSizeStrategy: MaxSizeStrategyType): number {
+  if (size < 1) {
+    throw new PageBoundsError(`Page size must be greater than zero, was ${size}`, size);
+  }
+  if (maxSize != null && size > maxSize) {
+    if (maxSizeStrategy === MaxSizeStrategy.reject) {
+      throw new PageSizeExceededError(size, maxSize);
+    }
+    return maxSize;
+  }
+  return size;
+}
+
+/**
+ * Invokes `parse`, recording `parameter` as the rejected parameter of any {@link KoaPageableError} it throws that
+ * does not already name one.
+ *
+ * @param parameter Name of the query parameter being parsed
+ * @param parse Function parsing the parameter
+ * @param errors Optional. If specified, a {@link KoaPageableError} thrown by `parse` is added to it and `fallback`
+ *   is returned instead of the error being thrown
+ * @param fallback Value returned when an error is added to `errors`
+ * @returns The result of `parse`
+ */
+function parseParameter<R>(parameter: string, parse: () => R, errors?: ?Array<KoaPageableError>, fallback: R): R {
+  try {
+    return parse();
+  } catch (e) {
+    if (!(e instanceof KoaPageableError)) {
+      throw e;
+    }
+    if (e.parameter == null) {
+      e.parameter = parameter;
+    }
+    if (!errors) {
+      throw e;
+    }
+    errors.push(e);
+    return fallback;
+  }
+}
+
+/**
+ * Returns the content items of a page, in order
+ *
+ * @param page The Page
+ * @returns The items of `content` or, for an {@link IndexedPage}, the items of `index` in the order of `ids`
+ */
+function pageItems(page: Object): Array<*> {
+  if (page instanceof IndexedPage) {
+    return page.ids.map(id => page.index[id]);
+  }
+  return page.content || [];
+}
+
+/**
+ * Names of the query parameters (and the sort format) used to build links to other pages
+ */
+type PageLinkParams = {
+  pageParam: string,
+  sizeParam: string,
+  sortParam: string,
+  afterParam: string,
+  beforeParam: string,
+  sortAliases: ?{ [requested: string]: string },
+  sortDescendingPrefix: ?boolean,
+  tieBreaker: ?Order | ?string,
+};
+
+/**
+ * Builds the URLs of the first, previous, next and last pages of `body`. The URLs are the current request URL with
+ * the paging query parameters replaced.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param body The page being returned
+ * @param params Names of the query parameters the middleware reads
+ * @returns Map of `{relation: URL}`, in the order `first`, `prev`, `next`, `last`, without the relations that don't
+ *   exist for `body`
+ */
+function buildPageLinks(ctx: Context, body: Page | CursorPage<*>, params: PageLinkParams): { [rel: string]: string } {
+  const baseQuery = Object.assign({}, ctx.query);
+  delete baseQuery[params.afterParam];
+  delete baseQuery[params.beforeParam];
+  if (!(body instanceof Page)) {
+    delete baseQuery[params.pageParam];
+  }
+  baseQuery[params.sizeParam] = body.size;
+  const sort = body.sort && removeTieBreaker(body.sort, params.tieBreaker);
+  if (sort && sort.orders.length > 0) {
+    baseQuery[params.sortParam] = formatSort(sort, params.sortAliases, params.sortDescendingPrefix);
+  }
+
+  // ctx.path is relative to the mount point of a mounted app, the original URL keeps the full path
+  const path = ctx.originalUrl.split('?')[0];
+  const url = query => `${ctx.origin}${path}?${querystring.stringify(Object.assign({}, baseQuery, query))}`;
+  const links = {};
+
+  if (body instanceof Page) {
+    links.first = url({ [params.pageParam]: 0 });
+    if (!body.first) {
+      links.prev = url({ [params.pageParam]: Math.min(body.number, body.totalPages) - 1 });
+    }
+    if (!body.last) {
+      links.next = url({ [params.pageParam]: body.number + 1 });
+    }
+    links.last = url({ [params.pageParam]: body.totalPages - 1 });
+  } else {
+    links.first = url({});
+    if (body.prevCursor) {
+      links.prev = url({ [params.beforeParam]: body.prevCursor });
+    }
+    if (body.nextCursor) {
+      links.next = url({ [params.afterParam]: body.nextCursor });
+    }
+  }
+  return links;
+}
+
+/**
+ * Builds an RFC 8288 `Link` header value linking to the first, previous, next and last pages of `body`.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param body The page being returned
+ * @param params Names of the query parameters the middleware reads
+ * @returns The header value
+ */
+function buildLinkHeader(ctx: Context, body: Page | CursorPage<*>, params: PageLinkParams): string {
+  const links = buildPageLinks(ctx, body, params);
+  return Object.keys(links).map(rel => `<${links[rel]}>; rel="${rel}"`).join(', ');
+}
+
+/**
+ * Builds the headers describing the position of `page` within the data set.
+ *
+ * @param page The page being returned
+ * @param headerNames Optional. Names of the headers the page metadata is written to, no metadata headers if null
+ * @param contentRange If true, also includes a `Content-Range` header
+ * @returns Map of `{header name: value}`
+ */
+function buildMetadataHeaders(page: Page, headerNames: ?PageMetadataHeaders, contentRange: boolean) {
+  const headers = {};
+  if (headerNames) {
+    headers[headerNames.totalElements] = String(page.totalElements);
+    headers[headerNames.totalPages] = String(page.totalPages);
+    headers[headerNames.number] = String(page.number);
+    headers[headerNames.size] = String(page.size);
+  }
+  if (contentRange) {
+    const start = page.number * page.size;
+    headers['Content-Range'] = (page.numberOfElements > 0)
+      ? `items ${start}-${(start + page.numberOfElements) - 1}/${page.totalElements}`
+      : `items */${page.totalElements}`;
+  }
+  return headers;
+}
+
+/**
+ * Adds `headerNames` to the `Access-Control-Expose-Headers` response header, so they can be read by browsers making
+ * cross-origin requests. Names already listed (e.g. by CORS middleware) are kept.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param headerNames Names of the headers to expose
+ */
+function exposeHeaders(ctx: Context, headerNames: Array<string>) {
+  const exposed = ctx.response.get('Access-Control-Expose-Headers')
+    .split(',')
+    .map(it => it.trim())
+    .filter(it => it.length > 0);
+  const lowerCaseExposed = exposed.map(it => it.toLowerCase());
+  const added = headerNames.filter(it => !lowerCaseExposed.includes(it.toLowerCase()));
+  if (added.length > 0) {
+    ctx.set('Access-Control-Expose-Headers', exposed.concat(added).join(', '));
+  }
+}
+
+/**
+ * {@link PaginateOptions} reading the [JSON:API](https://jsonapi.org/format/#fetching-pagination) parameter shapes:
+ * `page[number]` (0-indexed, like `page`), `page[size]`, `page[after]`, `page[before]` and
+ * `sort=-lastName,firstName` (descending orders prefixed with `-`). Combine it with other options using
+ * `createPaginate(Object.assign({}, JsonApiPaginateOptions, { maxSize: 100 }))`.
+ */
+export const JsonApiPaginateOptions: PaginateOptions = {
+  pageParam: 'page[number]',
+  sizeParam: 'page[size]',
+  afterParam: 'page[after]',
+  beforeParam: 'page[before]',
+  sortParam: 'sort',
+  sortDescendingPrefix: true,
+};
+
+/**
+ * Renders a {@link Page} as a [JSON:API](https://jsonapi.org) top-level document: the page content as `data`, its
+ * totals as `meta` and links to the `first`, `prev`, `next` and `last` pages (built from the request URL, `prev` and
+ * `next` are null if there is no such page) as `links`.
+ *
+ * The content is used as is, so it should already consist of JSON:API resource objects, e.g.
+ * `toJsonApi(page.map(it => ({ type: 'people', id: String(it.id), attributes: it })), ctx)`.
+ *
+ * @param page The Page to render, the content of an {@link IndexedPage} is rendered in the order of its `ids`
+ * @param ctx Context associated with the Koa middleware function, used to build the links
+ * @param options Optional. The {@link PaginateOptions} of the pagination middleware, used to name the paging
+ *   parameters of the links. Defaults to {@link JsonApiPaginateOptions}
+ * @returns The JSON:API document
+ */
+export function toJsonApi(page: Page, ctx: Context, options: PaginateOptions = JsonApiPaginateOptions) {
+  const params: PageLinkParams = Object.assign({}, DEFAULT_PAGINATE_OPTIONS, options);
+  const links = buildPageLinks(ctx, page, params);
+  return {
+    data: pageItems(page),
+    meta: {
+      totalElements: page.totalElements,
+      totalPages: page.totalPages,
+    },
+    links: {
+      first: links.first,
+      prev: links.prev || null,
+      next: links.next || null,
+      last: links.last,
+    },
+  };
+}
+
+/**
+ * Renders a {@link Page} in the [HAL](https://tools.ietf.org/html/draft-kelly-json-hal) (`application/hal+json`)
+ * layout of Spring Data REST's `PagedResources`: the page content embedded under `rel` in `_embedded`, links to the
+ * `self`, `first`, `prev`, `next` and `last` pages (built from the request URL, `prev` and `next` are omitted if there
+ * is no such page) in `_links`, and the paging information in `page`.
+ *
+ * @param page The Page to render, the content of an {@link IndexedPage} is rendered in the order of its `ids`
+ * @param ctx Context associated with the Koa middleware function, used to build the links
+ * @param rel Optional. Name of the relation the content is embedded as, defaults to `content`
+ * @param options Optional. The {@link PaginateOptions} of the pagination middleware, used to name the paging
+ *   parameters of the links
+ * @returns The HAL document
+ */
+export function toHal(page: Page, ctx: Context, rel: string = 'content', options: PaginateOptions = {}) {
+  const params: PageLinkParams = Object.assign({}, DEFAULT_PAGINATE_OPTIONS, options);
+  const links = buildPageLinks(ctx, page, params);
+  const halLinks = { self: { href: ctx.href } };
+  Object.keys(links).forEach((it) => {
+    halLinks[it] = { href: links[it] };
+  });
+  return {
+    _embedded: { [rel]: pageItems(page) },
+    _links: halLinks,
+    page: {
+      size: page.size,
+      totalElements: page.totalElements,
+      totalPages: page.totalPages,
+      number: page.number,
+    },
+  };
+}
+
+/**
+ * Creates a copy of `page` that is serialized in the indexed format of {@link IndexedPage} if `indexed` is true, else
+ * in the format of {@link ArrayPage}. Only an {@link IndexablePage} or {@link IndexedPage} can be indexed, as the items
+ * of other pages aren't known to have unique ids.
+ *
+ * @param page The page to copy
+ * @param indexed Whether the copy is serialized in the indexed format
+ * @returns An {@link IndexablePage} or {@link IndexedPage} if `indexed` is true, else an {@link ArrayPage} or
+ *   {@link IndexablePage}
+ */
+function withIndexedFormat(page: Page, indexed: boolean): Page {
+  const pageable = new Pageable(page.number, page.size, indexed, page.sort);
+  if (page instanceof IndexablePage) {
+    return new IndexablePage(page.content, page.totalElements, pageable, page.idKey, page.idConflictPolicy);
+  }
+  if (indexed) {
+    return page;
+  }
+  return new ArrayPage(pageItems(page), page.totalElements, pageable);
+}
+
+/**
+ * Replaces the {@link Page} response body with its representation preferred by the request's `Accept` header, see
+ * {@link PageMediaTypes}. The indexed format is only offered for an {@link IndexablePage} or {@link IndexedPage}.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param page The page being returned
+ * @param options The {@link PaginateOptions} of the middleware, naming the paging parameters of the links
+ * @param halRel Name of the relation the content is embedded as in the HAL representation
+ * @throws NotAcceptableError if none of the representations is acceptable
+ */
+function negotiatePage(ctx: Context, page: Page, options: PaginateOptions, halRel: string) {
+  const indexable = (page instanceof IndexablePage || page instanceof IndexedPage);
+  const supportedTypes = Object.keys(PageMediaTypes)
+    .map(it => PageMediaTypes[it])
+    .filter(it => indexable || it !== PageMediaTypes.indexedJson);
+  const type = ctx.accepts(supportedTypes);
+  ctx.vary('Accept');
+
+  switch (type) {
+    case PageMediaTypes.json:
+      break;
+    case PageMediaTypes.indexedJson:
+      ctx.body = withIndexedFormat(page, true);
+      break;
+    case PageMediaTypes.arrayJson:
+      ctx.body = withIndexedFormat(page, false);
+      break;
+    case PageMediaTypes.hal:
+      ctx.body = toHal(page, ctx, halRel, options);
+      ctx.type = PageMediaTypes.hal;
+      break;
+    case PageMediaTypes.jsonApi:
+      ctx.body = toJsonApi(page, ctx, options);
+      ctx.type = PageMediaTypes.jsonApi;
+      break;
+    default:
+      throw new NotAcceptableError(ctx.get('Accept'), supportedTypes);
+  }
+}
+
+/**
+ * Creates a Koa Middleware function that reads pagination parameters from the query string, and populates
+ * `ctx.state[stateKey]` with a {@link Pageable} instance, or a {@link CursorPageable} instance in
+ * {@link PagingMode.cursor} mode. Once the downstream middleware has completed, response headers can optionally be
+ * written for a {@link Page} or {@link CursorPage} response body.
+ *
+ * @param options {@link PaginateOptions} overriding the parameter names, defaults and state key
+ * @returns Koa Middleware function
+ * @throws Error if `defaultSize` is less than 1 or larger than `maxSize`
+ */
+export function createPaginate(options: PaginateOptions = {}) {
+  const {
+    pageParam,
+    sizeParam,
+    sortParam,
+    indexedParam,
+    afterParam,
+    beforeParam,
+    mode,
+    linkHeader,
+    metadataHeaders,
+    contentRangeHeader,
+    collectErrors,
+    strictNumbers,
+    negotiate,
+    halRel,
+    defaultSize,
+    defaultSort,
+    sortProperties,
+    sortAliases,
+    sortDirections,
+    sortDescendingPrefix,
+    tieBreaker,
+    maxSize,
+    maxSizeStrategy,
+    stateKey,
+  } = Object.assign({}, DEFAULT_PAGINATE_OPTIONS, options);
+  if (defaultSize < 1 || (maxSize != null && defaultSize > maxSize)) {
+    throw new Error(`defaultSize must be between 1 and maxSize (${String(maxSize)}), was ${defaultSize}`);
+  }
+
+  // cursors are built from the sort properties of the returned elements, so in cursor mode the aliased properties are
+  // allowed but not translated
+  const aliases = (sortAliases && mode === PagingMode.cursor)
+    ? Object.keys(sortAliases).reduce((identity, it) => Object.assign(identity, { [it]: it }), {})
+    : sortAliases;
+  const params = {
+    pageParam, sizeParam, sortParam, afterParam, beforeParam, sortAliases: aliases, sortDescendingPrefix, tieBreaker,
+  };
+  const sortOptions: SortOptions = {
+    allowedProperties: sortProperties,
+    aliases,
+    directions: sortDirections,
+    descendingPrefix: sortDescendingPrefix,
+  };
+  // the default sort is configuration rather than client input, so it isn't restricted or translated
+  const defaultSortValue: ?Sort = (typeof defaultSort === 'string' || Array.isArray(defaultSort))
+    ? parseSort(defaultSort, { directions: sortDirections, descendingPrefix: sortDescendingPrefix })
+    : defaultSort;
+  const tieBreakerOrder: ?Order = (typeof tieBreaker === 'string') ? parseSort(tieBreaker).orders[0] : tieBreaker;
+  const metadataHeaderNames: ?PageMetadataHeaders = metadataHeaders
+    ? Object.assign({}, DEFAULT_METADATA_HEADERS, (metadataHeaders === true) ? {} : metadataHeaders)
+    : null;
+
+  return async function paginateMiddleware(ctx: Context, next: Function) {
+    const { query } = ctx;
+    const errors: ?Array<KoaPageableError> = collectErrors ? [] : null;
+    // the page number is not used in cursor mode, so it isn't parsed either
+    const page = (mode === PagingMode.cursor) ? Pageable._DEFAULT_PAGE : parseParameter(pageParam, () => {
+      const requestedPage = parseOptionalIntOrThrow(query[pageParam], strictNumbers);
+      return checkPageNumber((requestedPage == null) ? Pageable._DEFAULT_PAGE : requestedPage);
+    }, errors, Pageable._DEFAULT_PAGE);
+    const size = parseParameter(sizeParam, () => {
+      const requestedSize = parseOptionalIntOrThrow(query[sizeParam], strictNumbers);
+      return checkPageSize((requestedSize == null) ? defaultSize : requestedSize, maxSize, maxSizeStrategy);
+    }, errors, defaultSize);
+    let sort: ?Sort = parseParameter(sortParam, () => {
+      const requestedSort = query[sortParam];
+      if (!requestedSort) {
+        return defaultSortValue;
+      }
+      const sortErrors = [];
+      const parsedSort = parseSort(requestedSort, sortOptions, errors ? sortErrors : undefined);
+      sortErrors.forEach((error) => {
+        error.parameter = sortParam; // eslint-disable-line no-param-reassign
+      });
+      if (errors) {
+        errors.push(...sortErrors);
+      }
+      return parsedSort;
+    }, errors, null);
+    if (tieBreakerOrder) {
+      sort = appendTieBreaker(sort, tieBreakerOrder);
+    }
+
+    let pageable: ?(Pageable | CursorPageable) = null;
+    if (mode === PagingMode.cursor) {
+      // a cursor can't be checked against a sort with collected errors, the missing orders would be reported again
+      if (!errors || !errors.some(it => it.parameter === sortParam)) {
+        let cursorParam = sortParam;
+        if (query[afterParam]) {
+          cursorParam = afterParam;
+        } else if (query[beforeParam]) {
+          cursorParam = beforeParam;
+        }
+        pageable = parseParameter(
+          cursorParam,
+          () => new CursorPageable(size, sort, query[afterParam], query[beforeParam]),
+          errors,
+          null,
+        );
+      }
+    } else {
+      const indexed: boolean = (query[indexedParam] === 'true');
+      pageable = new Pageable(page, size, indexed, sort);
+    }
+
+    if (errors && errors.length > 0) {
+      throw new PaginationValidationError(errors);
+    }
+    ctx.state[stateKey] = pageable;
+    await next();
+
+    const { body } = ctx;
+    const headers = {};
+    if (linkHeader && (body instanceof Page || body instanceof CursorPage)) {
+      headers.Link = buildLinkHeader(ctx, body, params);
+    }
+    if (body instanceof Page) {
+      Object.assign(headers, buildMetadataHeaders(body, metadataHeaderNames, contentRangeHeader));
+    }
+    if (!isEmpty(headers)) {
+      ctx.set(headers);
+      exposeHeaders(ctx, Object.keys(headers));
+    }
+
+    if (negotiate && body instanceof Page) {
+      negotiatePage(ctx, body, options, halRel);
+    }
+
+    // Koa serializes the body after the middleware has returned, so the ids of the (negotiated) body are checked here,
+    // where upstream middleware such as paginationErrorHandler can still handle the IdConflictError
+    const result = ctx.body;
+    if (result instanceof IndexablePage && result.indexed && result.idConflictPolicy === IdConflictPolicy.error) {
+      resolveIdConflicts(result.content, idGetter(result.idKey), result.idConflictPolicy);
+    }
+  };
+}
+
+/**
+ * Koa Middleware function that reads pagination parameters from the query string, and populate `ctx.state.pageable`
+ * with a {@link Pageable} instance. Equivalent to `createPaginate()` with the default {@link PaginateOptions}.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param next Middleware function called after {@link Pageable} property is set in state
+ * @returns {Promise}
+ */
+export const paginate = createPaginate();
+
+/**
+ * Creates the {@link Page} returned by the data access adapters. An {@link IndexablePage} is created if the pageable
+ * requests indexed results, else an {@link ArrayPage}.
+ *
+ * @param content The content of the page
+ * @param totalElements The total number of elements in the data set
+ * @param pageable The {@link Pageable} containing the paging information
+ * @param idKey Optional. The {@link IdKey} of the content, defaults to `id`
+ * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+ *   {@link IdConflictPolicy.error}
+ * @returns Instance of Page
+ */
+function createPage<T: Object>(
+  content: Array<T>,
+  totalElements: number,
+  pageable: Pageable,
+  idKey: IdKey<*, T> = 'id',
+  idConflictPolicy?: IdConflictPolicyType,
+): Page {
+  if (pageable.indexed) {
+    return new IndexablePage(content, totalElements, pageable, idKey, idConflictPolicy);
+  }
+  return new ArrayPage(content, totalElements, pageable);
+}
+
+/**
+ * Adds an {@link Order} to a Knex (or Objection) query. Null handling is emulated with a `case` expression ordered
+ * ahead of the property, as not all databases support `nulls first` / `nulls last`, and case-insensitive orders are
+ * ordered by `lower(property)`.
+ *
+ * @param query Knex query builder
+ * @param order The Order to be added
+ */
+function orderKnexQuery(query: Object, order: Order) {
+  const { property, direction, nullHandling } = order;
+  if (nullHandling === NullHandling.nullsFirst || nullHandling === NullHandling.nullsLast) {
+    const nullsDirection = (nullHandling === NullHandling.nullsFirst) ? 'desc' : 'asc';
+    query.orderByRaw(`case when ?? is null then 1 else 0 end ${nullsDirection}`, [property]);
+  }
+  if (order.ignoreCase) {
+    query.orderByRaw(`lower(??) ${direction}`, [property]);
+  } else {
+    query.orderBy(property, direction);
+  }
+}
+
+/**
+ * Applies a {@link Pageable} to a [Knex](https://knexjs.org) query and executes it, along with a query counting the
+ * total number of elements matched by it.
+ *
+ * The query builder is not modified. The data query is a clone of it with each {@link Order} of `pageable.sort`
+ * added as an `orderBy` (preceded by a `case` expression ordering `null` values if it specifies a
+ * {@link NullHandling}, and ordering by `lower(property)` if it ignores case), and the offset and limit of the
+ * requested page applied. The count query wraps a clone of it (without its ordering) in a subquery, so queries using
+ * `distinct` or `groupBy` are counted correctly.
+ *
+ * @param queryBuilder Knex query builder selecting the content, e.g. `knex('people').where('age', '>', 21)`
+ * @param pageable The {@link Pageable} containing the paging information
+ * @param idKey Optional. The {@link IdKey} of the rows, used if `pageable.indexed` is true. Defaults to `id`
+ * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+ *   {@link IdConflictPolicy.error}
+ * @returns Promise resolving to an {@link IndexablePage} if `pageable.indexed` is true, else an {@link ArrayPage}
+ */
+export async function paginateKnex<T: Object>(
+  queryBuilder: Object,
+  pageable: Pageable,
+  idKey: IdKey<*, T> = 'id',
+  idConflictPolicy?: IdConflictPolicyType,
+): Promise<Page> {
+  const dataQuery = queryBuilder.clone();
+  if (pageable.sort) {
+    pageable.sort.orders.forEach(order => orderKnexQuery(dataQuery, order));
+  }
+  dataQuery.offset(pageable.getOffset()).limit(pageable.size);
+
+  const countQuery = queryBuilder.client.queryBuilder()
+    .count('* as total')
+    .from(queryBuilder.clone().clearOrder().as('paginate_count'))
+    .first();
+
+  const [content, count]: [Array<T>, { total: number | string }] = await Promise.all([dataQuery, countQuery]);
+  return createPage(content, Number(count.total), pageable, idKey, idConflictPolicy);
+}
+
+/**
+ * MongoDB collation comparing strings case-insensitively, applied by {@link paginateMongoose} for orders ignoring case
+ */
+const MONGO_CASE_INSENSITIVE_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Applies a {@link Pageable} to a [Mongoose](https://mongoosejs.com) query and executes it, along with a
+ * `countDocuments` query (run in parallel) counting the total number of documents matched by its filter.
+ *
+ * The requested page is selected using `.skip()` and `.limit()`, and `pageable.sort` is applied with `.sort()`,
+ * as a `{property: 1 | -1}` object. MongoDB always orders `null` values first in ascending and last in descending
+ * order, so the {@link NullHandling} of each order is ignored. If any order ignores case and the query has no
+ * collation, a case-insensitive collation (`{ locale: 'en', strength: 2 }`) is applied to the query. Note that the
+ * collation also applies to the string comparisons of the filter. The count query uses the same collation.
+ *
+ * As a Mongoose query can only be executed once, the query passed in is modified and should not be used afterwards.
+ *
+ * @param query Mongoose query selecting the documents, e.g. `Person.find({ age: { $gt: 21 } })`
+ * @param pageable The {@link Pageable} containing the paging information
+ * @param idKey The {@link IdKey} of the documents, defaults to `_id`
+ * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+ *   {@link IdConflictPolicy.error}
+ * @returns Promise resolving to an {@link IndexablePage}
+ */
+export async function paginateMongoose<T: Object>(
+  query: Object,
+  pageable: Pageable,
+  idKey: IdKey<*, T> = '_id',
+  idConflictPolicy?: IdConflictPolicyType,
+): Promise<IndexablePage<*, T>> {
+  if (pageable.sort) {
+    const sort = {};
+    let ignoreCase = false;
+    pageable.sort.forEach((property, direction, nullHandling, orderIgnoresCase) => {
+      sort[property] = (direction === Direction.desc) ? -1 : 1;
+      ignoreCase = ignoreCase || orderIgnoresCase;
+    });
+    query.sort(sort);
+    if (ignoreCase && !query.getOptions().collation) {
+      query.collation(MONGO_CASE_INSENSITIVE_COLLATION);
+    }
+  }
+  query.skip(pageable.getOffset()).limit(pageable.size);
+
+  const countQuery = query.model.countDocuments(query.getFilter());
+  const { collation } = query.getOptions();
+  if (collation) {
+    countQuery.collation(collation);
+  }
+
+  const [content, totalElements]: [Array<T>, number] = await Promise.all([query.exec(), countQuery.exec()]);
+  return new IndexablePage(content, totalElements, pageable, idKey, idConflictPolicy);
+}
+
+/**
+ * Applies a {@link Pageable} to an [Objection](https://vincit.github.io/objection.js/) query and executes it, using
+ * the query builder's `page()` method to retrieve the requested page along with the total number of elements.
+ *
+ * The query builder is not modified, each {@link Order} of `pageable.sort` is added as an `orderBy` to a clone of it
+ * (in the same way as {@link paginateKnex}).
+ *
+ * @param queryBuilder Objection query builder selecting the content, e.g. `Person.query().where('age', '>', 21)`
+ * @param pageable The {@link Pageable} containing the paging information
+ * @param idKey Optional. The {@link IdKey} of the models, used if `pageable.indexed` is true. Defaults to `id`
+ * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+ *   {@link IdConflictPolicy.error}
+ * @returns Promise resolving to an {@link IndexablePage} if `pageable.indexed` is true, else an {@link ArrayPage}
+ */
+export async function paginateObjection(
+  queryBuilder: Object,
+  pageable: Pageable,
+  idKey: IdKey<*, Object> = 'id',
+  idConflictPolicy?: IdConflictPolicyType,
+): Promise<Page> {
+  const query = queryBuilder.clone();
+  if (pageable.sort) {
+    pageable.sort.orders.forEach(order => orderKnexQuery(query, order));
+  }
+  const { results, total } = await query.page(pageable.page, pageable.size);
+  return createPage(results, Number(total), pageable, idKey, idConflictPolicy);
+}
+
+/**
+ * Applies a {@link Pageable} to the options of a [Sequelize](https://sequelize.org) `findAndCountAll` query on
+ * `model` and executes it.
+ *
+ * The `offset` and `limit` of the requested page are added to the options, and `pageable.sort` is added to their
+ * `order`, ahead of any order already specified (with `NULLS FIRST` / `NULLS LAST` for orders specifying a
+ * {@link NullHandling}, and ordering by `lower(property)` for orders ignoring case). The options passed in are not
+ * modified.
+ *
+ * @param model Sequelize model to query
+ * @param pageable The {@link Pageable} containing the paging information
+ * @param options Optional. `findAndCountAll` options, e.g. `{ where: { age: { [Op.gt]: 21 } } }`
+ * @param idKey Optional. The {@link IdKey} of the rows, used if `pageable.indexed` is true. Defaults to `id`
+ * @param idConflictPolicy Optional. The {@link IdConflictPolicy} applied if `pageable.indexed` is true, defaults to
+ *   {@link IdConflictPolicy.error}
+ * @returns Promise resolving to an {@link IndexablePage} if `pageable.indexed` is true, else an {@link ArrayPage}
+ */
+export async function paginateSequelize(
+  model: Object,
+  pageable: Pageable,
+  options: Object = {},
+  idKey: IdKey<*, Object> = 'id',
+  idConflictPolicy?: IdConflictPolicyType,
+): Promise<Page> {
+  const order = [];
+  if (pageable.sort) {
+    pageable.sort.forEach((property, direction, nullHandling, ignoreCase) => {
+      let nulls = '';
+      if (nullHandling === NullHandling.nullsFirst) {
+        nulls = ' NULLS FIRST';
+      } else if (nullHandling === NullHandling.nullsLast) {
+        nulls = ' NULLS LAST';
+      }
+      const column = ignoreCase ? model.sequelize.fn('lower', model.sequelize.col(property)) : property;
+      order.push([column, `${direction.toUpperCase()}${nulls}`]);
+    });
+  }
+  const { rows, count } = await model.findAndCountAll(
+    Object.assign({}, options, {
+      order: order.concat(options.order || []),
+      offset: pageable.getOffset(),
+      limit: pageable.size,
+    }),
+  );
+  // count is an array of per group counts when the options include `group`
+  return createPage(rows, Array.isArray(count) ? count.length : count, pageable, idKey, idConflictPolicy);
+}
+
+/**
+ * Function retrieving the {@link Page} requested by a {@link Pageable}, e.g. a data access function using
+ * {@link paginateKnex}
+ */
+export type FetchPage = (pageable: Pageable) => Promise<Page>;
+
+/**
+ * Options of {@link iteratePages} and {@link iterateItems}
+ */
+export type IteratePagesOptions = {
+  /**
+   * Maximum number of pages fetched at the same time. Values greater than 1 prefetch the following pages while the
+   * current one is being processed. Defaults to 1
+   */
+  concurrency?: number,
+};
+
+// Symbol.asyncIterator is not defined before Node 10, for await...of uses the registered symbol there
+const asyncIteratorSymbol: any = (Symbol: any).asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Creates an async iterable of every {@link Page} of a paged data source, starting with `initialPageable` and
+ * requesting each following page (see {@link Pageable#next}) until a page is the `last` page, e.g.
+ * `for await (const page of iteratePages(findPeople, new Pageable(0, 100, false, 'id'))) { ... }`
+ *
+ * The first page is always fetched on its own, after which up to `options.concurrency` of the remaining pages
+ * (based on its `totalPages`) are fetched at the same time. Pages are yielded in order, and iteration stops at the
+ * first rejected fetch, which rejects the iterator's `next()`. The data source should be ordered by a unique sort
+ * (see the `tieBreaker` option of {@link createPaginate}) so no elements are skipped or repeated.
+ *
+ * @param fetchPage Function retrieving the Page requested by a Pageable
+ * @param initialPageable Optional. The first page to retrieve, defaults to the first page of the default size
+ * @param options Optional. {@link IteratePagesOptions}
+ * @returns Async iterable of the Pages
+ */
+export function iteratePages(
+  fetchPage: FetchPage,
+  initialPageable: Pageable = new Pageable(),
+  options: IteratePagesOptions = {},
+): AsyncIterable<Page> {
+  const concurrency = Math.max(options.concurrency || 1, 1);
+  // $FlowFixMe - ignore until flow has support for computed properties. https://github.com/facebook/flow/issues/3460
+  return {
+    [asyncIteratorSymbol]() {
+      // fetches are settled into results as soon as they start, so a prefetched page that is rejected while an
+      // earlier page is being processed is not reported as an unhandled rejection
+      const pending: Array<Promise<{ page?: Page, error?: mixed }>> = [];
+      let pageable = initialPageable;
+      let totalPages: ?number = null;
+      let done = false;
+
+      const finish = () => {
+        done = true;
+        // the results of prefetched pages are discarded, including their errors
+        pending.splice(0);
+        return { done: true, value: undefined };
+      };
+
+      return {
+        async next() {
+          if (done) {
+            return { done: true, value: undefined };
+          }
+          // until the first page is fetched, the number of pages is unknown
+          const limit = (typeof totalPages === 'number') ? concurrency : 1;
+          while (pending.length < limit && (typeof totalPages !== 'number' || pageable.page < totalPages)) {
+            const requested = pageable;
+            pending.push(new Promise(resolve => resolve(fetchPage(requested)))
+              .then(page => ({ page }), error => ({ error })));
+            pageable = pageable.next();
+          }
+          if (pending.length === 0) {
+            return finish();
+          }
+
+          const { page, error } = await pending.shift();
+          if (!page) {
+            finish();
+            throw error;
+          }
+          ({ totalPages } = page);
+          if (page.last) {
+            finish();
+          }
+          return { done: false, value: page };
+        },
+
+        async return() {
+          return finish();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Creates an async iterable of every content item of a paged data source, in order, fetching its pages with
+ * {@link iteratePages}, e.g. `for await (const person of iterateItems(findPeople)) { ... }`
+ *
+ * @param fetchPage Function retrieving the Page requested by a Pageable
+ * @param initialPageable Optional. The first page to retrieve, defaults to the first page of the default size
+ * @param options Optional. {@link IteratePagesOptions}
+ * @returns Async iterable of the items of each Page (of the `index` of an {@link IndexedPage}, in the order of its
+ *   `ids`)
+ */
+export function iterateItems(
+  fetchPage: FetchPage,
+  initialPageable: Pageable = new Pageable(),
+  options: IteratePagesOptions = {},
+): AsyncIterable<*> {
+  const pages = iteratePages(fetchPage, initialPageable, options);
+  // $FlowFixMe - ignore until flow has support for computed properties. https://github.com/facebook/flow/issues/3460
+  return {
+    [asyncIteratorSymbol]() {
+      const pageIterator = (pages: any)[asyncIteratorSymbol]();
+      let items = [];
+      let index = 0;
+
+      const iterator = {
+        async next() {
+          if (index < items.length) {
+            index += 1;
+            return { done: false, value: items[index - 1] };
+          }
+          const result = await pageIterator.next();
+          if (result.done) {
+            return result;
+          }
+          items = pageItems(result.value);
+          index = 0;
+          // the page may be empty, in which case the following page is read
+          return iterator.next();
+        },
+
+        return() {
+          return pageIterator.return();
+        },
+      };
+      return iterator;
+    },
+  };
+}
+
+/**
+ * Koa Middleware function that converts any {@link KoaPageableError} thrown by the downstream middleware (including
+ * {@link paginate}) into an [RFC 7807](https://tools.ietf.org/html/rfc7807) `application/problem+json` response,
+ * using the error's status and {@link KoaPageableError#toProblemDetails} as the body. Other errors are rethrown.
+ *
+ * Should be added before the pagination middleware, e.g. `app.use(paginationErrorHandler).use(paginate)`.
+ *
+ * @param ctx Context associated with the Koa middleware function
+ * @param next Downstream middleware function
+ * @returns {Promise}
+ */
+export async function paginationErrorHandler(ctx: Context, next: Function) {
+  try {
+    await next();
+  } catch (e) {
+    if (!(e instanceof KoaPageableError)) {
+      throw e;
+    }
+    ctx.status = e.status;
+    ctx.body = e.toProblemDetails();
+    ctx.type = 'application/problem+json';
+  }
 }